@@ -1,7 +1,9 @@
+import jwt from "jsonwebtoken";
 import { generateToken } from "../lib/utils.js";
+import { disconnectSession, publishPresence } from "../lib/socket.js";
 import User from "../models/user.model.js";
 import bcrypt from "bcryptjs";
-import cloudinary from "../lib/cloudinary.js";
+import { saveMedia } from "../lib/storage.js";
 
 export const signup = async (req, res) => {
   const { fullName, email, password } = req.body;
@@ -75,8 +77,13 @@ export const login = async (req, res) => {
   }
 };
 
-export const logout = (req, res) => {
+export const logout = async (req, res) => {
   try {
+    // Close the sockets of this session; the user's other devices stay signed in
+    const token = req.cookies.jwt;
+    const userId = token && jwt.decode(token)?.userId;
+    if (userId) await disconnectSession(userId, token);
+
     res.cookie("jwt", "", { maxAge: 0 });
     res.status(200).json({ message: "Logged out successfully" });
   } catch (error) {
@@ -94,16 +101,19 @@ export const updateProfile = async (req, res) => {
       return res.status(400).json({ message: "Profile pic is required" });
     }
 
-    const uploadResponse = await cloudinary.uploader.upload(profilePic);
+    const profilePicUrl = await saveMedia(profilePic);
     const updatedUser = await User.findByIdAndUpdate(
       userId,
-      { profilePic: uploadResponse.secure_url },
+      { profilePic: profilePicUrl },
       { new: true }
     );
 
     res.status(200).json(updatedUser);
   } catch (error) {
     console.log("error in update profile:", error);
+    if (error.code === "INVALID_MEDIA") {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: "Internal server error" });
   }
 };
@@ -116,3 +126,64 @@ export const checkAuth = (req, res) => {
     res.status(500).json({ message: "Internal Server Error" });
   }
 };
+
+// Sets or clears (customStatus: null) the custom status, and toggles do-not-disturb
+export const updateStatus = async (req, res) => {
+  try {
+    const { customStatus, doNotDisturb } = req.body;
+    const updates = {};
+
+    if (customStatus === null) {
+      updates.customStatus = {};
+    } else if (customStatus !== undefined) {
+      const { text = "", emoji = "", expiresInMinutes } = customStatus;
+
+      if (typeof text !== "string" || text.length > 100 || typeof emoji !== "string" || emoji.length > 16) {
+        return res.status(400).json({ message: "Status text is limited to 100 characters and emoji to 16" });
+      }
+      if (expiresInMinutes !== undefined && !(Number(expiresInMinutes) > 0)) {
+        return res.status(400).json({ message: "Status expiry must be a positive number of minutes" });
+      }
+
+      updates.customStatus = {
+        text: text.trim(),
+        emoji: emoji.trim(),
+        expiresAt: expiresInMinutes ? new Date(Date.now() + Number(expiresInMinutes) * 60 * 1000) : undefined,
+      };
+    }
+
+    if (doNotDisturb !== undefined) {
+      updates.doNotDisturb = Boolean(doNotDisturb);
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(req.user._id, updates, { new: true }).select("-password");
+    await publishPresence(req.user._id);
+
+    res.status(200).json(updatedUser);
+  } catch (error) {
+    console.log("error in update status:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const updatePrivacy = async (req, res) => {
+  try {
+    const { showLastSeen } = req.body;
+
+    if (typeof showLastSeen !== "boolean") {
+      return res.status(400).json({ message: "showLastSeen must be true or false" });
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(
+      req.user._id,
+      { "privacy.showLastSeen": showLastSeen },
+      { new: true }
+    ).select("-password");
+    await publishPresence(req.user._id);
+
+    res.status(200).json(updatedUser);
+  } catch (error) {
+    console.log("error in update privacy:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
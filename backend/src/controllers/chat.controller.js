@@ -1,8 +1,107 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
 import { processChatOperations } from '../lib/threading.js';
-import { getReceiverSocketId, io } from '../lib/socket.js';
+import { emitToUsers, getReceiverSocketId, io, sharePresence, updateTypingStatus } from '../lib/socket.js';
+import { saveMedia } from '../lib/storage.js';
+import { recordReceipts, MAX_RECEIPT_BATCH } from '../lib/receipts.js';
+import { PUBLIC_PROFILE_FIELDS, toPublicUser } from '../lib/presence.js';
 import User from '../models/user.model.js';
 import Message from '../models/message.model.js';
 import ChatRoom from '../models/chatroom.model.js';
+import Invite from '../models/invite.model.js';
+
+const ASSIGNABLE_ROLES = ['admin', 'moderator', 'member'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_INVITE_HOURS = 7 * 24;
+const MAX_INVITE_HOURS = 30 * 24;
+
+const sameId = (a, b) => a?.toString() === b?.toString();
+const hasId = (ids = [], userId) => ids.some(id => sameId(id, userId));
+
+// Rooms created before ownership existed are owned by their creator
+const getOwnerId = (chatRoom) => chatRoom.ownerId || chatRoom.creatorId;
+
+// Returns 'owner', 'admin', 'moderator' or 'member'
+const getRoomRole = (chatRoom, userId) => {
+  if (sameId(getOwnerId(chatRoom), userId)) return 'owner';
+  if (hasId(chatRoom.admins, userId)) return 'admin';
+  if (hasId(chatRoom.moderators, userId)) return 'moderator';
+  return 'member';
+};
+
+const canManageMembers = (role) => role === 'owner' || role === 'admin';
+const canEditRoom = (role) => role !== 'member';
+
+// Loads a room the user belongs to; responds and returns null otherwise
+const findRoomForMember = async (chatId, userId, res) => {
+  const chatRoom = mongoose.isValidObjectId(chatId) ? await ChatRoom.findById(chatId) : null;
+
+  if (!chatRoom) {
+    res.status(404).json({ error: 'Chat room not found' });
+    return null;
+  }
+  if (!hasId(chatRoom.participants, userId)) {
+    res.status(403).json({ error: 'You are not a participant of this chat room' });
+    return null;
+  }
+  return chatRoom;
+};
+
+const setRole = (chatRoom, userId, role) => {
+  chatRoom.admins = chatRoom.admins.filter(id => !sameId(id, userId));
+  chatRoom.moderators = chatRoom.moderators.filter(id => !sameId(id, userId));
+
+  if (role === 'admin') chatRoom.admins.push(userId);
+  if (role === 'moderator') chatRoom.moderators.push(userId);
+};
+
+const removeFromRoom = (chatRoom, userId) => {
+  chatRoom.participants = chatRoom.participants.filter(id => !sameId(id, userId));
+  setRole(chatRoom, userId, 'member');
+};
+
+const joinNames = (names) => {
+  if (names.length <= 1) return names.join('');
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+};
+
+const userName = async (userId) => (await User.findById(userId).select('fullName'))?.fullName || 'Someone';
+
+// Records a room event in the timeline and makes it the room's last message.
+// The caller saves the room.
+const addSystemMessage = async (chatRoom, actorId, text) => {
+  const message = await Message.create({
+    senderId: actorId,
+    chatRoomId: chatRoom._id,
+    text,
+    isSystemMessage: true
+  });
+  chatRoom.lastMessage = message._id;
+  return message.populate('senderId', 'fullName profilePic');
+};
+
+// Why an invite can no longer be used, or null if it still can
+const inviteUnavailableReason = (invite) => {
+  if (invite.revokedAt) return 'This invite link has been revoked';
+  if (invite.expiresAt <= new Date()) return 'This invite link has expired';
+  if (invite.maxUses && invite.uses >= invite.maxUses) return 'This invite link has reached its usage limit';
+  return null;
+};
+
+// Saves the room and tells everyone involved about the change
+const publishRoomChange = async (chatRoom, systemMessage, removedUserIds = []) => {
+  await chatRoom.save();
+  const populatedRoom = await chatRoom.populate('participants', PUBLIC_PROFILE_FIELDS);
+
+  emitToUsers(chatRoom.participants.map(p => p._id), 'chatRoomUpdated', populatedRoom);
+  if (systemMessage) {
+    emitToUsers(chatRoom.participants.map(p => p._id), 'newMessage', systemMessage);
+  }
+  emitToUsers(removedUserIds, 'removedFromChatRoom', { chatRoomId: chatRoom._id });
+
+  return populatedRoom;
+};
 
 // Controller for creating and managing chat rooms
 export const createChatRoom = async (req, res) => {
@@ -33,6 +132,8 @@ export const createChatRoom = async (req, res) => {
       name,
       participants,
       creatorId,
+      ownerId: creatorId,
+      admins: [creatorId],
       isGroupChat
     });
     
@@ -50,7 +151,8 @@ export const createChatRoom = async (req, res) => {
           
           return chatRoom;
         }`,
-        data: { chatRoomData: newChatRoom }
+        // Plain data only: documents can't be passed to a worker thread
+        data: { chatRoomData: newChatRoom.toObject({ flattenObjectIds: true }) }
       }
     ];
     
@@ -64,7 +166,7 @@ export const createChatRoom = async (req, res) => {
       throw new Error(roomResult?.error || 'Failed to process chat room');
     }
     
-    const chatRoom = newChatRoom;
+    const chatRoom = await newChatRoom.populate('participants', PUBLIC_PROFILE_FIELDS);
     
     // Notify all participants about the new chat room
     participants.forEach(participantId => {
@@ -73,6 +175,7 @@ export const createChatRoom = async (req, res) => {
         io.to(socketId).emit('newChatRoom', chatRoom);
       }
     });
+    await sharePresence(participants);
     
     res.status(201).json(chatRoom);
     
@@ -82,6 +185,27 @@ export const createChatRoom = async (req, res) => {
   }
 };
 
+// Controller for listing the chat rooms the user participates in,
+// most recently active first
+export const getMyChatRooms = async (req, res) => {
+  try {
+    const chatRooms = await ChatRoom.find({ participants: req.user._id })
+      .populate('participants', PUBLIC_PROFILE_FIELDS)
+      .populate({
+        path: 'lastMessage',
+        select: 'text image file senderId isDeleted isSystemMessage createdAt',
+        populate: { path: 'senderId', select: 'fullName' }
+      })
+      .sort({ updatedAt: -1 });
+
+    res.status(200).json(chatRooms);
+
+  } catch (error) {
+    console.error('Error in getMyChatRooms controller:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 // Controller for managing chat controls (typing indicators, read receipts, etc.)
 export const updateChatControls = async (req, res) => {
   try {
@@ -95,58 +219,34 @@ export const updateChatControls = async (req, res) => {
     
     // Handle different chat control actions
     switch (action) {
-      case 'typing':
-        // Notify chat participants that user is typing
-        const typingData = {
-          userId: userId.toString(),
-          chatId,
-          isTyping: data?.isTyping || true
-        };
-        
-        // Get all participants in this chat (in a real app, you'd query the ChatRoom model)
-        // For now, we'll use a dummy list with the receiver ID from the request
-        const participants = [data.receiverId];
-        
-        participants.forEach(participantId => {
-          if (participantId !== userId.toString()) {
-            const socketId = getReceiverSocketId(participantId);
-            if (socketId) {
-              io.to(socketId).emit('typingIndicator', typingData);
-            }
-          }
+      case 'typing': {
+        // Kept for older clients; prefer the socket `typing` event. chatId is
+        // either a chat room or the DM partner, as in getChatInfo.
+        const isRoom = mongoose.isValidObjectId(chatId) && await ChatRoom.exists({ _id: chatId });
+
+        await updateTypingStatus(userId, {
+          chatRoomId: isRoom ? chatId : undefined,
+          receiverId: isRoom ? undefined : chatId,
+          isTyping: data?.isTyping !== false
         });
-        
+
         res.status(200).json({ success: true });
         break;
-        
-      case 'readReceipt':
-        // Mark messages as read
-        // In a real implementation, you would update the Message model
-        // For now, we'll just notify the sender
-        
-        if (!data.messageIds || !Array.isArray(data.messageIds)) {
+      }
+
+      case 'readReceipt': {
+        // Kept for older clients; same as POST /api/messages/read. The senders
+        // are looked up from the messages rather than taken from the request.
+        if (!data?.messageIds || !Array.isArray(data.messageIds) || data.messageIds.length > MAX_RECEIPT_BATCH) {
           return res.status(400).json({ error: 'Invalid message IDs' });
         }
-        
-        // Get the sender ID of these messages (in a real app, query the Message model)
-        // For now, we'll use the receiverId from the request data
-        const senderId = data.senderId;
-        
-        const readReceiptData = {
-          userId: userId.toString(),
-          chatId,
-          messageIds: data.messageIds,
-          timestamp: new Date()
-        };
-        
-        const senderSocketId = getReceiverSocketId(senderId);
-        if (senderSocketId) {
-          io.to(senderSocketId).emit('readReceipt', readReceiptData);
-        }
-        
-        res.status(200).json({ success: true });
+
+        const messageIds = await recordReceipts(userId, data.messageIds, 'read');
+
+        res.status(200).json({ success: true, messageIds });
         break;
-        
+      }
+
       default:
         res.status(400).json({ error: 'Unknown action' });
     }
@@ -163,7 +263,7 @@ export const getChatInfo = async (req, res) => {
     const { chatId } = req.params;
     
     // Find the chat room by ID
-    const chatRoom = await ChatRoom.findById(chatId).populate('participants', '-password');
+    const chatRoom = await ChatRoom.findById(chatId).populate('participants', PUBLIC_PROFILE_FIELDS);
     
     if (!chatRoom) {
       // If no chat room found, this might be a direct chat
@@ -192,7 +292,7 @@ export const getChatInfo = async (req, res) => {
       
       const chatInfo = {
         chatId,
-        chatPartner,
+        chatPartner: toPublicUser(chatPartner),
         messageCount,
         firstMessageAt: firstMessage?.createdAt || null,
         chatDuration: firstMessage ? Date.now() - new Date(firstMessage.createdAt).getTime() : 0,
@@ -216,6 +316,10 @@ export const getChatInfo = async (req, res) => {
       name: chatRoom.name,
       participants: chatRoom.participants,
       creatorId: chatRoom.creatorId,
+      ownerId: getOwnerId(chatRoom),
+      admins: chatRoom.admins,
+      moderators: chatRoom.moderators,
+      avatar: chatRoom.avatar,
       messageCount,
       createdAt: chatRoom.createdAt,
       isGroupChat: chatRoom.isGroupChat,
@@ -228,4 +332,457 @@ export const getChatInfo = async (req, res) => {
     console.error('Error in getChatInfo controller:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
-};
\ No newline at end of file
+};
+
+// Controller for renaming a chat room or changing its avatar (admins and moderators)
+export const updateChatRoom = async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const { name, avatar } = req.body;
+    const userId = req.user._id;
+
+    const chatRoom = await findRoomForMember(chatId, userId, res);
+    if (!chatRoom) return;
+
+    if (!canEditRoom(getRoomRole(chatRoom, userId))) {
+      return res.status(403).json({ error: 'Only admins and moderators can edit this chat room' });
+    }
+
+    const trimmedName = typeof name === 'string' ? name.trim() : undefined;
+    if (trimmedName === '' || (!trimmedName && !avatar)) {
+      return res.status(400).json({ error: 'Name or avatar is required' });
+    }
+
+    const actorName = await userName(userId);
+    const events = [];
+
+    if (trimmedName && trimmedName !== chatRoom.name) {
+      chatRoom.name = trimmedName;
+      events.push(`renamed the group to "${trimmedName}"`);
+    }
+    if (avatar) {
+      chatRoom.avatar = await saveMedia(avatar);
+      events.push('changed the group photo');
+    }
+
+    const systemMessage = events.length > 0
+      ? await addSystemMessage(chatRoom, userId, `${actorName} ${joinNames(events)}`)
+      : null;
+
+    res.status(200).json(await publishRoomChange(chatRoom, systemMessage));
+
+  } catch (error) {
+    console.error('Error in updateChatRoom controller:', error);
+    if (error.code === 'INVALID_MEDIA') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Controller for adding participants to a chat room (admins only)
+export const addParticipants = async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const { userIds } = req.body;
+    const userId = req.user._id;
+
+    if (!Array.isArray(userIds) || userIds.length === 0 || !userIds.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ error: 'Invalid participant list' });
+    }
+
+    const chatRoom = await findRoomForMember(chatId, userId, res);
+    if (!chatRoom) return;
+
+    if (!canManageMembers(getRoomRole(chatRoom, userId))) {
+      return res.status(403).json({ error: 'Only admins can add participants' });
+    }
+
+    const newIds = [...new Set(userIds.map(String))].filter(id => !hasId(chatRoom.participants, id));
+    if (newIds.length === 0) {
+      return res.status(400).json({ error: 'These users are already participants' });
+    }
+
+    const users = await User.find({ _id: { $in: newIds } }).select('fullName');
+    if (users.length !== newIds.length) {
+      return res.status(400).json({ error: 'One or more participants do not exist' });
+    }
+
+    chatRoom.participants.push(...newIds);
+    chatRoom.isGroupChat = chatRoom.participants.length > 2;
+
+    const systemMessage = await addSystemMessage(
+      chatRoom,
+      userId,
+      `${await userName(userId)} added ${joinNames(users.map(u => u.fullName))}`
+    );
+    const populatedRoom = await publishRoomChange(chatRoom, systemMessage);
+
+    // New participants don't have the room yet
+    emitToUsers(newIds, 'newChatRoom', populatedRoom);
+    await sharePresence(chatRoom.participants.map(p => p._id));
+
+    res.status(200).json(populatedRoom);
+
+  } catch (error) {
+    console.error('Error in addParticipants controller:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Controller for removing a participant. Admins can remove moderators and
+// members; only the owner can remove another admin.
+export const removeParticipant = async (req, res) => {
+  try {
+    const { chatId, userId: targetId } = req.params;
+    const userId = req.user._id;
+
+    const chatRoom = await findRoomForMember(chatId, userId, res);
+    if (!chatRoom) return;
+
+    const role = getRoomRole(chatRoom, userId);
+    if (!canManageMembers(role)) {
+      return res.status(403).json({ error: 'Only admins can remove participants' });
+    }
+    if (sameId(targetId, userId)) {
+      return res.status(400).json({ error: 'Use leave to remove yourself' });
+    }
+    if (!hasId(chatRoom.participants, targetId)) {
+      return res.status(404).json({ error: 'User is not a participant of this chat room' });
+    }
+
+    const targetRole = getRoomRole(chatRoom, targetId);
+    if (targetRole === 'owner' || (targetRole === 'admin' && role !== 'owner')) {
+      return res.status(403).json({ error: 'You cannot remove this participant' });
+    }
+
+    removeFromRoom(chatRoom, targetId);
+
+    const systemMessage = await addSystemMessage(
+      chatRoom,
+      userId,
+      `${await userName(userId)} removed ${await userName(targetId)}`
+    );
+
+    res.status(200).json(await publishRoomChange(chatRoom, systemMessage, [targetId]));
+
+  } catch (error) {
+    console.error('Error in removeParticipant controller:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Controller for changing a participant's role. The owner can assign any role;
+// admins can only move non-admins between moderator and member.
+export const setParticipantRole = async (req, res) => {
+  try {
+    const { chatId, userId: targetId } = req.params;
+    const { role: newRole } = req.body;
+    const userId = req.user._id;
+
+    if (!ASSIGNABLE_ROLES.includes(newRole)) {
+      return res.status(400).json({ error: 'Invalid role' });
+    }
+
+    const chatRoom = await findRoomForMember(chatId, userId, res);
+    if (!chatRoom) return;
+
+    const role = getRoomRole(chatRoom, userId);
+    if (!hasId(chatRoom.participants, targetId)) {
+      return res.status(404).json({ error: 'User is not a participant of this chat room' });
+    }
+
+    const targetRole = getRoomRole(chatRoom, targetId);
+    const allowed = role === 'owner'
+      ? targetRole !== 'owner'
+      : role === 'admin' && targetRole !== 'owner' && targetRole !== 'admin' && newRole !== 'admin';
+
+    if (!allowed) {
+      return res.status(403).json({ error: 'You cannot change this participant\'s role' });
+    }
+    if (targetRole === newRole) {
+      return res.status(200).json(await chatRoom.populate('participants', PUBLIC_PROFILE_FIELDS));
+    }
+
+    setRole(chatRoom, targetId, newRole);
+
+    const roleLabel = newRole === 'member' ? 'a member' : `${newRole === 'admin' ? 'an' : 'a'} ${newRole}`;
+    const systemMessage = await addSystemMessage(
+      chatRoom,
+      userId,
+      `${await userName(userId)} made ${await userName(targetId)} ${roleLabel}`
+    );
+
+    res.status(200).json(await publishRoomChange(chatRoom, systemMessage));
+
+  } catch (error) {
+    console.error('Error in setParticipantRole controller:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Controller for handing ownership to another participant (owner only).
+// The previous owner stays on as an admin.
+export const transferOwnership = async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const { userId: targetId } = req.body;
+    const userId = req.user._id;
+
+    const chatRoom = await findRoomForMember(chatId, userId, res);
+    if (!chatRoom) return;
+
+    if (getRoomRole(chatRoom, userId) !== 'owner') {
+      return res.status(403).json({ error: 'Only the owner can transfer ownership' });
+    }
+    if (!targetId || sameId(targetId, userId) || !hasId(chatRoom.participants, targetId)) {
+      return res.status(400).json({ error: 'New owner must be another participant' });
+    }
+
+    chatRoom.ownerId = targetId;
+    setRole(chatRoom, targetId, 'admin');
+    setRole(chatRoom, userId, 'admin');
+
+    const systemMessage = await addSystemMessage(
+      chatRoom,
+      userId,
+      `${await userName(userId)} made ${await userName(targetId)} the owner`
+    );
+
+    res.status(200).json(await publishRoomChange(chatRoom, systemMessage));
+
+  } catch (error) {
+    console.error('Error in transferOwnership controller:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Controller for leaving a chat room. When the owner leaves, ownership passes
+// to an admin, then a moderator, then the longest-standing member; the room
+// is deleted once nobody is left.
+export const leaveChatRoom = async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const userId = req.user._id;
+
+    const chatRoom = await findRoomForMember(chatId, userId, res);
+    if (!chatRoom) return;
+
+    const wasOwner = getRoomRole(chatRoom, userId) === 'owner';
+    removeFromRoom(chatRoom, userId);
+
+    if (chatRoom.participants.length === 0) {
+      await Message.deleteMany({ chatRoomId: chatRoom._id });
+      await Invite.deleteMany({ chatRoomId: chatRoom._id });
+      await chatRoom.deleteOne();
+      return res.status(200).json({ chatRoomId: chatRoom._id, deleted: true });
+    }
+
+    const events = [`${await userName(userId)} left`];
+
+    if (wasOwner) {
+      const newOwnerId = chatRoom.admins[0] || chatRoom.moderators[0] || chatRoom.participants[0];
+      chatRoom.ownerId = newOwnerId;
+      setRole(chatRoom, newOwnerId, 'admin');
+      events.push(`${await userName(newOwnerId)} is now the owner`);
+    }
+
+    const systemMessage = await addSystemMessage(chatRoom, userId, events.join('. '));
+    await publishRoomChange(chatRoom, systemMessage, [userId]);
+
+    res.status(200).json({ chatRoomId: chatRoom._id, deleted: false });
+
+  } catch (error) {
+    console.error('Error in leaveChatRoom controller:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Controller for creating an invite link (admins only). Links expire after
+// `expiresInHours` (default 7 days, at most 30) and can be limited to `maxUses` joins.
+export const createInvite = async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const { expiresInHours = DEFAULT_INVITE_HOURS, maxUses } = req.body;
+    const userId = req.user._id;
+
+    const hours = Number(expiresInHours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_INVITE_HOURS) {
+      return res.status(400).json({ error: `Invite links must expire within ${MAX_INVITE_HOURS} hours` });
+    }
+    if (maxUses !== undefined && maxUses !== null && !(Number.isInteger(maxUses) && maxUses > 0)) {
+      return res.status(400).json({ error: 'maxUses must be a positive whole number' });
+    }
+
+    const chatRoom = await findRoomForMember(chatId, userId, res);
+    if (!chatRoom) return;
+
+    if (!canManageMembers(getRoomRole(chatRoom, userId))) {
+      return res.status(403).json({ error: 'Only admins can create invite links' });
+    }
+
+    const invite = await Invite.create({
+      token: crypto.randomBytes(18).toString('base64url'),
+      chatRoomId: chatRoom._id,
+      createdBy: userId,
+      expiresAt: new Date(Date.now() + hours * HOUR_MS),
+      maxUses: maxUses || undefined
+    });
+
+    res.status(201).json(invite);
+
+  } catch (error) {
+    console.error('Error in createInvite controller:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Controller for listing a room's invite links that can still be used (admins only)
+export const getInvites = async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const userId = req.user._id;
+
+    const chatRoom = await findRoomForMember(chatId, userId, res);
+    if (!chatRoom) return;
+
+    if (!canManageMembers(getRoomRole(chatRoom, userId))) {
+      return res.status(403).json({ error: 'Only admins can view invite links' });
+    }
+
+    const invites = await Invite.find({
+      chatRoomId: chatRoom._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('createdBy', 'fullName')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json(invites.filter(invite => !inviteUnavailableReason(invite)));
+
+  } catch (error) {
+    console.error('Error in getInvites controller:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Controller for revoking an invite link (admins only)
+export const revokeInvite = async (req, res) => {
+  try {
+    const { chatId, inviteId } = req.params;
+    const userId = req.user._id;
+
+    const chatRoom = await findRoomForMember(chatId, userId, res);
+    if (!chatRoom) return;
+
+    if (!canManageMembers(getRoomRole(chatRoom, userId))) {
+      return res.status(403).json({ error: 'Only admins can revoke invite links' });
+    }
+
+    const invite = mongoose.isValidObjectId(inviteId)
+      ? await Invite.findOneAndUpdate(
+          { _id: inviteId, chatRoomId: chatRoom._id },
+          { $set: { revokedAt: new Date() } },
+          { new: true }
+        )
+      : null;
+
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    res.status(200).json(invite);
+
+  } catch (error) {
+    console.error('Error in revokeInvite controller:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Controller for previewing the room behind an invite link before joining
+export const previewInvite = async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    const invite = await Invite.findOne({ token });
+    const chatRoom = invite && await ChatRoom.findById(invite.chatRoomId);
+    if (!chatRoom) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    const unavailableReason = inviteUnavailableReason(invite);
+    if (unavailableReason) {
+      return res.status(410).json({ error: unavailableReason });
+    }
+
+    res.status(200).json({
+      chatRoomId: chatRoom._id,
+      name: chatRoom.name,
+      avatar: chatRoom.avatar,
+      memberCount: chatRoom.participants.length,
+      isMember: hasId(chatRoom.participants, req.user._id),
+      expiresAt: invite.expiresAt
+    });
+
+  } catch (error) {
+    console.error('Error in previewInvite controller:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Controller for joining a chat room through an invite link
+export const joinWithInvite = async (req, res) => {
+  try {
+    const { token } = req.params;
+    const userId = req.user._id;
+
+    const invite = await Invite.findOne({ token });
+    const chatRoom = invite && await ChatRoom.findById(invite.chatRoomId);
+    if (!chatRoom) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    // Joining again doesn't use up the invite
+    if (hasId(chatRoom.participants, userId)) {
+      return res.status(200).json(await chatRoom.populate('participants', PUBLIC_PROFILE_FIELDS));
+    }
+
+    const unavailableReason = inviteUnavailableReason(invite);
+    if (unavailableReason) {
+      return res.status(410).json({ error: unavailableReason });
+    }
+
+    // Claim a use atomically so concurrent joins can't exceed maxUses
+    const claimed = await Invite.findOneAndUpdate(
+      {
+        _id: invite._id,
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() },
+        $or: [{ maxUses: { $exists: false } }, { $expr: { $lt: ['$uses', '$maxUses'] } }]
+      },
+      { $inc: { uses: 1 } }
+    );
+    if (!claimed) {
+      return res.status(410).json({ error: 'This invite link has reached its usage limit' });
+    }
+
+    chatRoom.participants.push(userId);
+    chatRoom.isGroupChat = chatRoom.participants.length > 2;
+
+    const systemMessage = await addSystemMessage(
+      chatRoom,
+      userId,
+      `${await userName(userId)} joined using an invite link`
+    );
+    const populatedRoom = await publishRoomChange(chatRoom, systemMessage);
+
+    emitToUsers([userId], 'newChatRoom', populatedRoom);
+    await sharePresence(chatRoom.participants.map(p => p._id));
+
+    res.status(200).json(populatedRoom);
+
+  } catch (error) {
+    console.error('Error in joinWithInvite controller:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
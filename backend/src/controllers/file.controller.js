@@ -1,7 +1,10 @@
-import path from 'path';
 import fs from 'fs';
+import { pipeline } from 'stream';
+import mongoose from 'mongoose';
+import File from '../models/file.model.js';
+import { isFileExpired, readFile, signFileUrl } from '../lib/files.js';
 import { sendFileViaTcp, sendUdpMessage } from '../lib/network.js';
-import { getReceiverSocketId, io } from '../lib/socket.js';
+import { getConversationRecipients, getReceiverSocketId, io } from '../lib/socket.js';
 
 // Controller for handling file uploads and transfers
 export const uploadFile = async (req, res) => {
@@ -16,16 +19,19 @@ export const uploadFile = async (req, res) => {
     const fileInfo = {
       senderId: senderId.toString(),
       receiverId,
-      fileName: req.file.originalname
+      fileName: req.file.originalname,
+      fileType: req.file.mimetype
     };
     
-    // Send file via TCP
-    await sendFileViaTcp(req.file.path, fileInfo);
+    // Send file via TCP; the server verifies the file's SHA-256 on receipt
+    const storedFile = await sendFileViaTcp(req.file.path, fileInfo);
     
     // Notify the sender that the file was sent successfully
     res.status(200).json({ 
       message: 'File sent successfully',
-      fileName: req.file.originalname
+      fileId: storedFile.fileId,
+      fileName: req.file.originalname,
+      sha256: storedFile.sha256
     });
     
     // Clean up the temporary file
@@ -35,6 +41,12 @@ export const uploadFile = async (req, res) => {
     
   } catch (error) {
     console.error('Error in uploadFile controller:', error);
+    if (error.code === 'TRANSPORT_DISABLED') {
+      return res.status(503).json({ error: 'TCP file transfers are disabled' });
+    }
+    if (error.code === 'FORBIDDEN') {
+      return res.status(403).json({ error: "You can't send files to this user" });
+    }
     res.status(500).json({ error: 'Internal server error' });
   }
 };
@@ -42,62 +54,201 @@ export const uploadFile = async (req, res) => {
 // Controller for sending UDP messages
 export const sendUdpMessageController = async (req, res) => {
   try {
-    const { text } = req.body;
+    const { text, reliable, chatRoomId } = req.body;
     const { id: receiverId } = req.params;
     const senderId = req.user._id;
     
     if (!text) {
       return res.status(400).json({ error: 'Message text is required' });
     }
+
+    // Room messages reach every participant, so only participants may send them
+    if (chatRoomId && !(await getConversationRecipients(senderId, { chatRoomId }))) {
+      return res.status(403).json({ error: 'You are not a participant of this chat room' });
+    }
     
-    // Send message via UDP
-    await sendUdpMessage({
+    // Send message via UDP, optionally waiting for the server's ACK
+    const delivery = await sendUdpMessage({
       senderId: senderId.toString(),
-      receiverId,
+      ...(chatRoomId ? { chatRoomId } : { receiverId }),
       text
-    });
+    }, { reliable: reliable === true });
     
-    res.status(200).json({ message: 'Message sent via UDP' });
+    res.status(200).json({ message: 'Message sent via UDP', delivery });
     
   } catch (error) {
     console.error('Error in sendUdpMessage controller:', error);
+    if (error.code === 'TRANSPORT_DISABLED') {
+      return res.status(503).json({ error: 'UDP messaging is disabled' });
+    }
     res.status(500).json({ error: 'Internal server error' });
   }
 };
 
-// Controller to get a list of files for a chat
+// Number of files listed per page by default and at most
+const DEFAULT_FILE_PAGE_SIZE = 30;
+const MAX_FILE_PAGE_SIZE = 100;
+
+// MIME type filters of the file listing; documents are everything else
+const MEDIA_TYPE_PATTERN = /^(image|video|audio)\//;
+const FILE_TYPE_FILTERS = {
+  image: /^image\//,
+  video: /^video\//,
+  audio: /^audio\//,
+  document: { $not: MEDIA_TYPE_PATTERN },
+};
+
+// Controller to list the files of a chat, newest first. Pass `chatRoomId` for
+// a room, `type` to list only one kind of file, and the id of the last file
+// of a page as `before` to get the next one.
 export const getChatFiles = async (req, res) => {
   try {
     const { id: chatPartnerId } = req.params;
+    const { chatRoomId, type, before } = req.query;
     const myId = req.user._id;
-    
-    const uploadsDir = path.join(process.cwd(), 'uploads');
-    
-    // Read the uploads directory
-    fs.readdir(uploadsDir, (err, files) => {
-      if (err) {
-        console.error('Error reading uploads directory:', err);
-        return res.status(500).json({ error: 'Internal server error' });
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_FILE_PAGE_SIZE, 1), MAX_FILE_PAGE_SIZE);
+
+    if (type && !Object.hasOwn(FILE_TYPE_FILTERS, type)) {
+      return res.status(400).json({ error: `type must be one of ${Object.keys(FILE_TYPE_FILTERS).join(', ')}` });
+    }
+
+    if (chatRoomId && !(await getConversationRecipients(myId, { chatRoomId }))) {
+      return res.status(403).json({ error: 'You are not a participant of this chat room' });
+    }
+
+    const filter = chatRoomId
+      ? { chatRoomId }
+      : {
+          $or: [
+            { ownerId: myId, receiverId: chatPartnerId },
+            { ownerId: chatPartnerId, receiverId: myId },
+          ],
+        };
+    filter.$and = [{ $or: [{ expiresAt: { $exists: false } }, { expiresAt: { $gt: new Date() } }] }];
+    if (type) filter.mimeType = FILE_TYPE_FILTERS[type];
+
+    // The cursor must be a file of this chat
+    if (before) {
+      const cursor = mongoose.isValidObjectId(before) && (await File.findOne({ ...filter, _id: before }));
+      if (!cursor) {
+        return res.status(400).json({ error: 'Invalid cursor' });
       }
-      
-      // Filter files based on filename pattern (we store user IDs in filenames)
-      const chatFiles = files.filter(file => {
-        // Check if filename contains both user IDs
-        return (
-          (file.includes(myId.toString()) && file.includes(chatPartnerId)) ||
-          (file.includes(chatPartnerId) && file.includes(myId.toString()))
-        );
-      }).map(file => ({
-        fileName: file.substring(file.indexOf('-') + 1), // Remove timestamp prefix
-        filePath: `/uploads/${file}`,
-        timestamp: new Date(parseInt(file.split('-')[0])) // Extract timestamp from filename
-      }));
-      
-      res.status(200).json(chatFiles);
-    });
-    
+      filter.$and.push({
+        $or: [
+          { createdAt: { $lt: cursor.createdAt } },
+          { createdAt: cursor.createdAt, _id: { $lt: cursor._id } },
+        ],
+      });
+    }
+
+    // One extra file tells whether another page exists
+    const page = await File.find(filter).sort({ createdAt: -1, _id: -1 }).limit(limit + 1);
+
+    res.status(200).json({ files: page.slice(0, limit), hasMore: page.length > limit });
   } catch (error) {
     console.error('Error in getChatFiles controller:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
-};
\ No newline at end of file
+};
+
+// Files a browser may show inline. Anything else, notably HTML and SVG that
+// could run scripts on this origin, is always downloaded as an attachment.
+const INLINE_TYPE_PATTERN = /^(image\/(png|jpeg|gif|webp|avif)|video\/[\w.+-]+|audio\/[\w.+-]+)$/;
+
+// Content-Disposition with an ASCII fallback of the name for old clients and
+// the exact name in RFC 5987 encoding
+const contentDisposition = (type, fileName) => {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(fileName).replace(/['()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// Participants of the DM or chat room a file was sent in may download it
+const canAccessFile = async (file, userId) => {
+  if (file.chatRoomId) {
+    return Boolean(await getConversationRecipients(userId, { chatRoomId: file.chatRoomId }));
+  }
+  return [file.ownerId, file.receiverId].some((memberId) => memberId && memberId.toString() === userId.toString());
+};
+
+// Find the file named in the route, if the requester may see it. Files
+// they can't access are reported as missing.
+const findAccessibleFile = async (req, res) => {
+  const { fileId } = req.params;
+  const file = mongoose.isValidObjectId(fileId) && (await File.findById(fileId));
+
+  if (!file || isFileExpired(file) || (req.user && !(await canAccessFile(file, req.user._id)))) {
+    res.status(404).json({ error: 'File not found' });
+    return null;
+  }
+  return file;
+};
+
+// Controller to download a file from the storage holding it. A single
+// Range is answered with just those bytes (other Range headers get the whole
+// file), and `disposition=inline` shows media in the browser.
+export const downloadFile = async (req, res) => {
+  try {
+    const file = await findAccessibleFile(req, res);
+    if (!file) return;
+
+    const ranges = req.range(file.size);
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${file.size}`);
+      return res.status(416).json({ error: 'The requested range is not satisfiable' });
+    }
+    const range = Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1 ? ranges[0] : null;
+
+    // The verified hash identifies the content, so it makes a strong ETag
+    if (file.sha256) res.set('ETag', `"${file.sha256}"`);
+    if (req.fresh) return res.status(304).end();
+
+    let stream;
+    try {
+      stream = await readFile(file, range || undefined);
+    } catch (error) {
+      if (error.code !== 'NOT_FOUND') throw error;
+      console.error(`Stored file ${file.storedName} is missing from ${file.storage} storage`);
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const disposition = req.query.disposition === 'inline' && INLINE_TYPE_PATTERN.test(file.mimeType)
+      ? 'inline'
+      : 'attachment';
+
+    res.status(range ? 206 : 200).set({
+      'Content-Type': file.mimeType,
+      'Content-Length': range ? range.end - range.start + 1 : file.size,
+      'Content-Disposition': contentDisposition(disposition, file.originalName),
+      'Accept-Ranges': 'bytes',
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, max-age=0',
+      ...(range ? { 'Content-Range': `bytes ${range.start}-${range.end}/${file.size}` } : {}),
+    });
+
+    // Headers are out by the time the storage can fail, so a failure just cuts
+    // the response; a client going away stops the read
+    pipeline(stream, res, (error) => {
+      if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error('Error streaming file:', error.message);
+      }
+    });
+  } catch (error) {
+    console.error('Error in downloadFile controller:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Controller to issue a short-lived signed URL of a file, for embedding it
+// where the session cookie isn't sent
+export const getSignedFileUrl = async (req, res) => {
+  try {
+    const file = await findAccessibleFile(req, res);
+    if (!file) return;
+
+    res.status(200).json(signFileUrl(file));
+  } catch (error) {
+    console.error('Error in getSignedFileUrl controller:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
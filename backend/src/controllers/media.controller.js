@@ -0,0 +1,38 @@
+import path from 'path';
+import { pipeline } from 'stream';
+import { getStorage, mediaKey } from '../lib/storage.js';
+
+// Controller to serve an image stored as media (see lib/storage.js) from
+// the configured storage. Media are public like the URLs of drivers that
+// host them, and never change once stored.
+export const getMedia = async (req, res) => {
+  try {
+    const key = mediaKey(req.params.name);
+    if (!key) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    let stream;
+    try {
+      stream = await getStorage().createReadStream(key);
+    } catch (error) {
+      if (error.code === 'NOT_FOUND') {
+        return res.status(404).json({ error: 'Media not found' });
+      }
+      throw error;
+    }
+
+    res.type(path.extname(key)).set({
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'X-Content-Type-Options': 'nosniff',
+    });
+    pipeline(stream, res, (error) => {
+      if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error('Error streaming media:', error.message);
+      }
+    });
+  } catch (error) {
+    console.error('Error in getMedia controller:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -1,18 +1,245 @@
+import fs from "fs";
+import mongoose from "mongoose";
+
 import User from "../models/user.model.js";
 import Message from "../models/message.model.js";
 import ChatRoom from "../models/chatroom.model.js";
 
-import cloudinary from "../lib/cloudinary.js";
-import { getReceiverSocketId, io } from "../lib/socket.js";
+import { getReceiverSocketId, io, sharePresence } from "../lib/socket.js";
 import { sendUdpMessage, sendFileViaTcp } from "../lib/network.js";
-import { processChatOperations } from "../lib/threading.js";
+import { recordReceipts, MAX_RECEIPT_BATCH } from "../lib/receipts.js";
+import { toPublicUser } from "../lib/presence.js";
+import { maxFileSize } from "../lib/tcp-protocol.js";
+import { getNetworkConfig } from "../lib/network-config.js";
+import { deleteFile, storeTransfer } from "../lib/files.js";
+import { saveMedia } from "../lib/storage.js";
+import {
+  discardTransfer,
+  getTransfer,
+  hashTransfer,
+  isSha256,
+  isTransferComplete,
+  openTransfer,
+  resumeOffset,
+  writeChunk,
+} from "../lib/transfers.js";
+
+// Emit an event to everyone in a message's conversation except one user (the
+// message's sender by default; pass null to include everyone): the other end
+// of a direct message, or every participant of a chat room
+const notifyConversation = async (message, event, payload, exceptUserId = message.senderId) => {
+  const excludedId = exceptUserId?.toString();
+  let memberIds = [message.senderId, message.receiverId];
+
+  if (message.chatRoomId) {
+    const chatRoom = await ChatRoom.findById(message.chatRoomId);
+    if (!chatRoom) return;
+    memberIds = chatRoom.participants;
+  }
+
+  memberIds.forEach(memberId => {
+    if (memberId && memberId.toString() !== excludedId) {
+      const memberSocketId = getReceiverSocketId(memberId);
+      if (memberSocketId) {
+        io.to(memberSocketId).emit(event, payload);
+      }
+    }
+  });
+};
+
+// The first direct message between two users makes their presence visible to
+// each other
+const introduceDirectPartners = async (message) => {
+  if (message.chatRoomId) return;
+
+  const { senderId, receiverId } = message;
+  const isFirstMessage = !(await Message.exists({
+    _id: { $ne: message._id },
+    $or: [
+      { senderId, receiverId },
+      { senderId: receiverId, receiverId: senderId },
+    ],
+  }));
+
+  if (isFirstMessage) await sharePresence([senderId, receiverId]);
+};
+
+const isRoomParticipant = async (chatRoomId, userId) => {
+  if (!mongoose.isValidObjectId(chatRoomId)) return false;
+  return Boolean(await ChatRoom.exists({ _id: chatRoomId, participants: userId }));
+};
+
+// Check whether a user can see a message: either end of a direct message,
+// or a participant of the chat room it was sent to
+const isConversationMember = async (message, userId) => {
+  if (message.chatRoomId) {
+    return isRoomParticipant(message.chatRoomId, userId);
+  }
+
+  return [message.senderId, message.receiverId].some(
+    (memberId) => memberId && memberId.toString() === userId.toString()
+  );
+};
+
+// Check whether a message belongs to the conversation a new message is being sent to
+const belongsToConversation = (message, { chatRoomId, senderId, receiverId }) => {
+  if (chatRoomId) {
+    return message.chatRoomId?.toString() === chatRoomId.toString();
+  }
+  if (message.chatRoomId) return false;
+
+  const members = [message.senderId, message.receiverId].map((id) => id?.toString()).sort();
+  const expected = [senderId, receiverId].map((id) => id?.toString()).sort();
+  return members[0] === expected[0] && members[1] === expected[1];
+};
+
+// Page size for message history
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Number of search results returned by default and at most
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+
+// Characters of context kept on each side of the first match in a snippet
+const SNIPPET_CONTEXT = 60;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Cut an excerpt around the first occurrence of any search term and split it
+// into segments, flagging the ones that match so the client can highlight them
+const buildSnippet = (text = "", terms) => {
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "gi");
+  const firstMatch = Math.max(text.search(pattern), 0);
+  const start = Math.max(firstMatch - SNIPPET_CONTEXT, 0);
+  const end = Math.min(firstMatch + SNIPPET_CONTEXT * 2, text.length);
+
+  // split() with a capture group puts the matches at the odd indexes
+  const segments = text
+    .slice(start, end)
+    .split(pattern)
+    .map((part, index) => ({ text: part, highlight: index % 2 === 1 }))
+    .filter((segment) => segment.text);
+
+  if (start > 0) segments.unshift({ text: "…", highlight: false });
+  if (end < text.length) segments.push({ text: "…", highlight: false });
+
+  return segments;
+};
+
+// Longest emoji sequence accepted as a reaction (ZWJ sequences run long)
+const MAX_REACTION_LENGTH = 32;
+
+const isValidReaction = (emoji) =>
+  typeof emoji === "string" && emoji.trim() !== "" && emoji.length <= MAX_REACTION_LENGTH;
+
+// Group the raw reaction entries of a message into per-emoji counts
+const summarizeReactions = (reactions = []) => {
+  const summary = new Map();
+
+  reactions.forEach(({ emoji, userId }) => {
+    if (!summary.has(emoji)) {
+      summary.set(emoji, { emoji, count: 0, userIds: [] });
+    }
+    const entry = summary.get(emoji);
+    entry.count++;
+    entry.userIds.push(userId.toString());
+  });
+
+  return [...summary.values()];
+};
+
+// Serialize a message for the client with its reactions aggregated
+const withReactionCounts = (message) => {
+  const data = typeof message.toJSON === "function" ? message.toJSON() : message;
+  return { ...data, reactions: summarizeReactions(data.reactions) };
+};
+
+// Fields of a quoted parent message sent along with its replies
+const REPLY_PREVIEW_FIELDS = "text image file senderId isDeleted";
+
+// Bump the counters on a thread root and notify everyone who took part in the
+// thread (its author and everyone who replied) except the author of the reply.
+// In a chat room, only those still participating are notified.
+const recordThreadReply = async (reply) => {
+  const root = await Message.findByIdAndUpdate(
+    reply.threadRootId,
+    {
+      $inc: { replyCount: 1 },
+      $set: { lastReplyAt: reply.createdAt || new Date() },
+    },
+    { new: true }
+  );
+  if (!root) return;
+
+  const replySenderIds = await Message.distinct("senderId", { threadRootId: root._id });
+  const participantIds = new Set([root.senderId, ...replySenderIds].map((id) => id.toString()));
+  participantIds.delete(reply.senderId.toString());
+
+  if (root.chatRoomId) {
+    const chatRoom = await ChatRoom.findById(root.chatRoomId).select("participants");
+    const memberIds = new Set((chatRoom?.participants || []).map((id) => id.toString()));
+    participantIds.forEach((participantId) => {
+      if (!memberIds.has(participantId)) participantIds.delete(participantId);
+    });
+  }
+
+  participantIds.forEach(participantId => {
+    const participantSocketId = getReceiverSocketId(participantId);
+    if (participantSocketId) {
+      io.to(participantSocketId).emit("threadReply", {
+        threadRootId: root._id,
+        replyCount: root.replyCount,
+        lastReplyAt: root.lastReplyAt,
+        message: reply,
+      });
+    }
+  });
+};
+
+// Populate the references a message is displayed with
+const populateMessage = (query, populateSender) => {
+  query = query.populate('replyTo', REPLY_PREVIEW_FIELDS).populate('file');
+  return populateSender ? query.populate('senderId', 'fullName profilePic') : query;
+};
+
+// Fetch up to `limit` messages matching `filter` that are older ("before") or
+// newer ("after") than a cursor message, or the newest ones without a cursor,
+// in chronological order. The _id breaks ties between messages created in the
+// same millisecond, and one extra message is fetched to tell whether another
+// page exists.
+const fetchMessagePage = async (filter, { cursor, direction, limit, populateSender }) => {
+  const op = direction === "after" ? "$gt" : "$lt";
+  const sortOrder = direction === "after" ? 1 : -1;
+  const pageFilter = cursor
+    ? {
+        ...filter,
+        $and: [{
+          $or: [
+            { createdAt: { [op]: cursor.createdAt } },
+            { createdAt: cursor.createdAt, _id: { [op]: cursor._id } },
+          ],
+        }],
+      }
+    : filter;
+
+  const page = await populateMessage(
+    Message.find(pageFilter).sort({ createdAt: sortOrder, _id: sortOrder }).limit(limit + 1),
+    populateSender
+  );
+
+  const messages = page.slice(0, limit);
+  if (direction !== "after") messages.reverse();
+
+  return { messages, hasMore: page.length > limit };
+};
 
 export const getUsersForSidebar = async (req, res) => {
   try {
     const loggedInUserId = req.user._id;
     const filteredUsers = await User.find({ _id: { $ne: loggedInUserId } }).select("-password");
 
-    res.status(200).json(filteredUsers);
+    res.status(200).json(filteredUsers.map(toPublicUser));
   } catch (error) {
     console.error("Error in getUsersForSidebar: ", error.message);
     res.status(500).json({ error: "Internal server error" });
@@ -23,46 +250,62 @@ export const getMessages = async (req, res) => {
   try {
     const { id: userToChatId } = req.params;
     const myId = req.user._id;
-    const { chatRoomId } = req.query;
+    const { chatRoomId, before, after, around } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
 
+    if ([before, after, around].filter(Boolean).length > 1) {
+      return res.status(400).json({ error: "Use only one of before, after or around" });
+    }
+
+    if (chatRoomId && !(await isRoomParticipant(chatRoomId, myId))) {
+      return res.status(403).json({ error: "You are not a participant of this chat room" });
+    }
+
+    const filter = chatRoomId
+      ? { chatRoomId }
+      : {
+          $or: [
+            { senderId: myId, receiverId: userToChatId },
+            { senderId: userToChatId, receiverId: myId },
+          ],
+        };
+    filter.deletedFor = { $ne: myId };
+
+    // The cursor must be a message of this conversation
+    const cursorId = before || after || around;
+    let cursor;
+    if (cursorId) {
+      cursor = mongoose.isValidObjectId(cursorId) &&
+        (await populateMessage(Message.findOne({ ...filter, _id: cursorId }), Boolean(chatRoomId)));
+      if (!cursor) {
+        return res.status(400).json({ error: "Invalid cursor" });
+      }
+    }
+
+    const pageOptions = { cursor, limit, populateSender: Boolean(chatRoomId) };
     let messages;
-    
-    if (chatRoomId) {
-      // Get messages from a chat room
-      messages = await Message.find({ chatRoomId })
-        .sort({ createdAt: 1 })
-        .populate('senderId', 'fullName profilePic');
-      
-      // Mark messages as read by this user
-      await Message.updateMany(
-        { 
-          chatRoomId,
-          senderId: { $ne: myId },
-          readBy: { $ne: myId }
-        },
-        { $addToSet: { readBy: myId } }
-      );
+    let hasMore;
+    let hasNewer = false;
+
+    if (around) {
+      // Center the page on the cursor message, e.g. to jump to a search result
+      const olderHalf = Math.floor(limit / 2);
+      const older = await fetchMessagePage(filter, { ...pageOptions, direction: "before", limit: olderHalf });
+      const newer = await fetchMessagePage(filter, { ...pageOptions, direction: "after", limit: limit - olderHalf - 1 });
+      messages = [...older.messages, cursor, ...newer.messages];
+      hasMore = older.hasMore;
+      hasNewer = newer.hasMore;
     } else {
-      // Get direct messages between two users
-      messages = await Message.find({
-        $or: [
-          { senderId: myId, receiverId: userToChatId },
-          { senderId: userToChatId, receiverId: myId },
-        ],
-      }).sort({ createdAt: 1 });
-      
-      // Mark messages as read by this user
-      await Message.updateMany(
-        { 
-          senderId: userToChatId, 
-          receiverId: myId,
-          readBy: { $ne: myId }
-        },
-        { $addToSet: { readBy: myId } }
-      );
+      ({ messages, hasMore } = await fetchMessagePage(filter, {
+        ...pageOptions,
+        direction: after ? "after" : "before",
+      }));
     }
+    
+    // Fetching a page delivers it; it is only read once it is actually shown
+    await recordReceipts(myId, messages.map((message) => message._id), "delivered");
 
-    res.status(200).json(messages);
+    res.status(200).json({ messages: messages.map(withReactionCounts), hasMore, hasNewer });
   } catch (error) {
     console.log("Error in getMessages controller: ", error.message);
     res.status(500).json({ error: "Internal server error" });
@@ -71,24 +314,45 @@ export const getMessages = async (req, res) => {
 
 export const sendMessage = async (req, res) => {
   try {
-    const { text, image, chatRoomId, useUdp, file } = req.body;
+    const { text, image, chatRoomId, useUdp, file, replyTo } = req.body;
     const { id: receiverId } = req.params;
     const senderId = req.user._id;
 
-    // If UDP is requested, send via UDP for faster delivery
-    if (useUdp && text) {
-      await sendUdpMessage({
+    if (chatRoomId && !(await isRoomParticipant(chatRoomId, senderId))) {
+      return res.status(403).json({ error: "You are not a participant of this chat room" });
+    }
+
+    // A reply must quote a message from the same conversation
+    let parentMessage;
+    if (replyTo) {
+      parentMessage = await Message.findById(replyTo);
+      if (
+        !parentMessage ||
+        parentMessage.isSystemMessage ||
+        !belongsToConversation(parentMessage, { chatRoomId, senderId, receiverId })
+      ) {
+        return res.status(400).json({ error: "Invalid reply target" });
+      }
+    }
+
+    // If UDP is requested, send via UDP for faster delivery, waiting for the
+    // UDP server to acknowledge it. Without UDP the message is sent normally.
+    if (useUdp && text && getNetworkConfig().udp.enabled) {
+      // Room messages go out to every participant
+      const conversation = chatRoomId ? { chatRoomId } : { receiverId };
+      const delivery = await sendUdpMessage({
         senderId: senderId.toString(),
-        receiverId,
+        ...conversation,
         text
-      });
+      }, { reliable: true });
       
       // Create a message record to track UDP messages
       const udpMessageData = {
         senderId,
         text,
-        receiverId,
+        ...conversation,
         isUdpMessage: true,
+        udpStatus: delivery.status,
         readBy: [senderId]
       };
       
@@ -100,9 +364,8 @@ export const sendMessage = async (req, res) => {
 
     let imageUrl;
     if (image) {
-      // Upload base64 image to cloudinary
-      const uploadResponse = await cloudinary.uploader.upload(image);
-      imageUrl = uploadResponse.secure_url;
+      // Store the base64 image with the configured storage driver
+      imageUrl = await saveMedia(image);
     }
 
     const messageData = {
@@ -120,120 +383,570 @@ export const sendMessage = async (req, res) => {
       messageData.receiverId = receiverId;
     }
 
-    // Use threading for better performance when saving messages
-    const operations = [
-      {
-        id: 'saveMessage',
-        function: `async (data) => {
-          const { messageData } = data;
-          const Message = require('mongoose').model('Message');
-          const newMessage = new Message(messageData);
-          await newMessage.save();
-          return newMessage;
-        }`,
-        data: { messageData }
-      }
-    ];
-
-    const results = await processChatOperations(operations);
-    const messageResult = results.find(r => r.id === 'saveMessage');
-    
-    if (!messageResult || !messageResult.success) {
-      throw new Error(messageResult?.error || 'Failed to save message');
+    // Replies join the thread of the message they quote
+    if (parentMessage) {
+      messageData.replyTo = parentMessage._id;
+      messageData.threadRootId = parentMessage.threadRootId || parentMessage._id;
     }
-    
-    const newMessage = messageResult.result;
 
-    // If it's a chat room message, notify all participants
+    // Saved on the main thread: worker threads don't share the Mongoose connection
+    const newMessage = new Message(messageData);
+    await newMessage.save();
+
     if (chatRoomId) {
-      // Get the chat room to find all participants
-      const chatRoom = await ChatRoom.findById(chatRoomId);
-      if (chatRoom) {
-        chatRoom.participants.forEach(participantId => {
-          if (participantId.toString() !== senderId.toString()) {
-            const participantSocketId = getReceiverSocketId(participantId);
-            if (participantSocketId) {
-              io.to(participantSocketId).emit("newMessage", newMessage);
-            }
-          }
-        });
-      }
-    } else {
-      // Direct message - notify the receiver
-      const receiverSocketId = getReceiverSocketId(receiverId);
-      if (receiverSocketId) {
-        io.to(receiverSocketId).emit("newMessage", newMessage);
-      }
+      await ChatRoom.findByIdAndUpdate(chatRoomId, { lastMessage: newMessage._id });
+    }
+
+    // Notify the receiver, or all participants if it's a chat room message
+    // Including the sender, whose other devices show the message too
+    await notifyConversation(messageData, "newMessage", newMessage, null);
+    await introduceDirectPartners(newMessage);
+
+    if (messageData.threadRootId) {
+      await recordThreadReply(newMessage);
     }
 
     res.status(201).json(newMessage);
   } catch (error) {
     console.log("Error in sendMessage controller: ", error.message);
+    if (error.code === "INVALID_MEDIA") {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: "Internal server error" });
   }
 };
 
+// Create the message announcing a stored file and push it to the conversation
+const saveFileMessage = async (senderId, { receiverId, chatRoomId }, storedFile) => {
+  const messageData = {
+    senderId,
+    text: `File: ${storedFile.fileName}`,
+    file: storedFile.fileId,
+    readBy: [senderId]
+  };
+  
+  if (chatRoomId) {
+    messageData.chatRoomId = chatRoomId;
+  } else {
+    messageData.receiverId = receiverId;
+  }
+  
+  const newMessage = new Message(messageData);
+  await newMessage.save();
+  await newMessage.populate("file");
+
+  if (chatRoomId) {
+    await ChatRoom.findByIdAndUpdate(chatRoomId, { lastMessage: newMessage._id });
+  }
+  
+  // Notify recipients
+  await notifyConversation(newMessage, "newMessage", newMessage, null);
+  await introduceDirectPartners(newMessage);
+
+  return newMessage;
+};
+
 // Send a file message using TCP for reliable delivery
 export const sendFileMessage = async (req, res) => {
   try {
-    const { fileName, fileType, chatRoomId } = req.body;
+    const { chatRoomId } = req.body;
     const { id: receiverId } = req.params;
     const senderId = req.user._id;
     
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
+
+    if (chatRoomId && !(await isRoomParticipant(chatRoomId, senderId))) {
+      return res.status(403).json({ error: 'You are not a participant of this chat room' });
+    }
     
     const fileInfo = {
       senderId: senderId.toString(),
       receiverId,
       fileName: req.file.originalname,
+      fileType: req.file.mimetype,
       chatRoomId
     };
     
-    // Send file via TCP
-    await sendFileViaTcp(req.file.path, fileInfo);
+    // Send file via TCP; resolves once the TCP server has stored it
+    const storedFile = await sendFileViaTcp(req.file.path, fileInfo);
+    const newMessage = await saveFileMessage(senderId, { receiverId, chatRoomId }, storedFile);
     
-    // Create a message record for the file
-    const messageData = {
+    res.status(201).json(newMessage);
+  } catch (error) {
+    console.log("Error in sendFileMessage controller: ", error.message);
+    if (error.code === "FILE_TOO_LARGE") {
+      return res.status(413).json({ error: "File is too large" });
+    }
+    if (error.code === "TRANSPORT_DISABLED") {
+      return res.status(503).json({ error: "TCP file transfers are disabled" });
+    }
+    if (error.code === "FORBIDDEN") {
+      return res.status(403).json({ error: "You can't send files to this conversation" });
+    }
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    // The upload's temp copy has been streamed to uploads/ (or rejected)
+    if (req.file) fs.unlink(req.file.path, () => {});
+  }
+};
+
+// Resumable uploads: the browser sends a file to a transfer in chunks and,
+// after a dropped connection or a server restart, asks where to pick up
+
+const transferStatus = (transfer) => ({
+  transferId: transfer.transferId,
+  fileName: transfer.fileName,
+  size: transfer.size,
+  offset: resumeOffset(transfer),
+  ranges: transfer.ranges,
+});
+
+// Load a transfer started by the current user, or respond 404
+const findOwnTransfer = async (req, res) => {
+  const transfer = await getTransfer(req.params.transferId);
+  if (!transfer || transfer.senderId !== req.user._id.toString()) {
+    res.status(404).json({ error: "Transfer not found" });
+    return null;
+  }
+  return transfer;
+};
+
+// Start a transfer, or resume the one with the given transferId
+export const startTransfer = async (req, res) => {
+  try {
+    const { transferId, fileName, fileType, fileSize, receiverId, chatRoomId } = req.body;
+    const senderId = req.user._id;
+
+    if (typeof fileName !== "string" || !fileName || !Number.isInteger(fileSize) || fileSize < 0) {
+      return res.status(400).json({ error: "fileName and fileSize are required" });
+    }
+    if (fileSize > maxFileSize()) {
+      return res.status(413).json({ error: "File is too large" });
+    }
+    if (chatRoomId) {
+      if (!(await isRoomParticipant(chatRoomId, senderId))) {
+        return res.status(403).json({ error: "You are not a participant of this chat room" });
+      }
+    } else if (!mongoose.isValidObjectId(receiverId)) {
+      return res.status(400).json({ error: "receiverId or chatRoomId is required" });
+    }
+
+    const transfer = await openTransfer({
+      transferId,
       senderId,
-      text: `File: ${req.file.originalname}`,
-      file: `/uploads/${Date.now()}-${req.file.originalname}`,
-      readBy: [senderId]
+      receiverId: chatRoomId ? null : receiverId,
+      chatRoomId,
+      fileName,
+      fileType,
+      size: fileSize,
+    });
+
+    res.status(200).json(transferStatus(transfer));
+  } catch (error) {
+    if (error.code === "BAD_TRANSFER_ID") {
+      return res.status(400).json({ error: "Invalid transfer id" });
+    }
+    if (error.code === "TRANSFER_MISMATCH") {
+      return res.status(409).json({ error: "The transfer belongs to a different file" });
+    }
+    console.log("Error in startTransfer controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Where to resume a transfer, and which byte ranges the server has
+export const getTransferStatus = async (req, res) => {
+  try {
+    const transfer = await findOwnTransfer(req, res);
+    if (!transfer) return;
+
+    res.status(200).json(transferStatus(transfer));
+  } catch (error) {
+    console.log("Error in getTransferStatus controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Store a chunk of raw bytes at `?offset=`
+export const uploadTransferChunk = async (req, res) => {
+  try {
+    const transfer = await findOwnTransfer(req, res);
+    if (!transfer) return;
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: "The chunk must be sent as application/octet-stream" });
+    }
+
+    await writeChunk(transfer, Number(req.query.offset), req.body);
+    res.status(200).json(transferStatus(transfer));
+  } catch (error) {
+    if (error.code === "BAD_RANGE") {
+      return res.status(416).json({ error: "The chunk lies outside the file" });
+    }
+    console.log("Error in uploadTransferChunk controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Verify the fully uploaded file against the SHA-256 the sender computed,
+// then store it and send it as a message. A corrupted upload is discarded so
+// the sender can start over.
+export const completeTransfer = async (req, res) => {
+  try {
+    const { sha256 } = req.body;
+    if (!isSha256(sha256)) {
+      return res.status(400).json({ error: "The SHA-256 of the file is required" });
+    }
+
+    const transfer = await findOwnTransfer(req, res);
+    if (!transfer) return;
+
+    // The sender may have left or been removed from the room since starting
+    if (transfer.chatRoomId && !(await isRoomParticipant(transfer.chatRoomId, req.user._id))) {
+      await discardTransfer(transfer);
+      return res.status(403).json({ error: "You are not a participant of this chat room" });
+    }
+
+    if (!isTransferComplete(transfer)) {
+      return res.status(409).json({ error: "The transfer is incomplete", ...transferStatus(transfer) });
+    }
+
+    const receivedSha256 = await hashTransfer(transfer);
+    if (receivedSha256 !== sha256.toLowerCase()) {
+      await discardTransfer(transfer);
+      return res.status(422).json({ error: "The uploaded file does not match its SHA-256" });
+    }
+
+    const storedFile = await storeTransfer(transfer, { sha256: receivedSha256 });
+    const newMessage = await saveFileMessage(req.user._id, transfer, storedFile);
+
+    res.status(201).json(newMessage);
+  } catch (error) {
+    console.log("Error in completeTransfer controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Abandon a transfer and delete what was uploaded
+export const cancelTransfer = async (req, res) => {
+  try {
+    const transfer = await findOwnTransfer(req, res);
+    if (!transfer) return;
+
+    await discardTransfer(transfer);
+    res.status(200).json({ transferId: transfer.transferId });
+  } catch (error) {
+    console.log("Error in cancelTransfer controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Full-text search over the messages of every conversation the user is in:
+// their direct messages and the chat rooms they participate in
+export const searchMessages = async (req, res) => {
+  try {
+    const { q, senderId, chatRoomId, from, to, hasFile, hasImage } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+    const myId = req.user._id;
+
+    const terms = (q || "").replace(/["-]/g, " ").split(/\s+/).filter(Boolean);
+    if (terms.length === 0) {
+      return res.status(400).json({ error: "Search query is required" });
+    }
+
+    const myRoomIds = await ChatRoom.find({ participants: myId }).distinct("_id");
+
+    const filter = {
+      $text: { $search: q },
+      $or: [
+        { senderId: myId, receiverId: { $exists: true } },
+        { receiverId: myId },
+        { chatRoomId: { $in: myRoomIds } },
+      ],
+      deletedFor: { $ne: myId },
+      isDeleted: { $ne: true },
+      isSystemMessage: { $ne: true },
     };
-    
-    if (chatRoomId) {
-      messageData.chatRoomId = chatRoomId;
-    } else {
-      messageData.receiverId = receiverId;
+
+    if (senderId) {
+      if (!mongoose.isValidObjectId(senderId)) {
+        return res.status(400).json({ error: "Invalid sender" });
+      }
+      filter.senderId = senderId;
     }
-    
-    const newMessage = new Message(messageData);
-    await newMessage.save();
-    
-    // Notify recipients
+
     if (chatRoomId) {
-      const chatRoom = await ChatRoom.findById(chatRoomId);
-      if (chatRoom) {
-        chatRoom.participants.forEach(participantId => {
-          if (participantId.toString() !== senderId.toString()) {
-            const participantSocketId = getReceiverSocketId(participantId);
-            if (participantSocketId) {
-              io.to(participantSocketId).emit("newMessage", newMessage);
-            }
-          }
-        });
+      if (!myRoomIds.some((roomId) => roomId.toString() === chatRoomId)) {
+        return res.status(403).json({ error: "You are not a participant of this chat room" });
       }
-    } else {
-      const receiverSocketId = getReceiverSocketId(receiverId);
-      if (receiverSocketId) {
-        io.to(receiverSocketId).emit("newMessage", newMessage);
+      filter.chatRoomId = chatRoomId;
+    }
+
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+      if (Object.values(filter.createdAt).some((date) => isNaN(date))) {
+        return res.status(400).json({ error: "Invalid date range" });
       }
     }
-    
-    res.status(201).json(newMessage);
+
+    if (hasFile === "true") filter.file = { $exists: true, $ne: null };
+    if (hasImage === "true") filter.image = { $exists: true, $ne: null };
+
+    const messages = await Message.find(filter, { score: { $meta: "textScore" } })
+      .sort({ score: { $meta: "textScore" }, createdAt: -1 })
+      .limit(limit)
+      .populate("senderId", "fullName profilePic")
+      .populate("receiverId", "fullName profilePic")
+      .populate("chatRoomId", "name")
+      .populate("file");
+
+    const results = messages.map((message) => ({
+      ...withReactionCounts(message),
+      snippet: buildSnippet(message.text, terms),
+    }));
+
+    res.status(200).json(results);
   } catch (error) {
-    console.log("Error in sendFileMessage controller: ", error.message);
+    console.log("Error in searchMessages controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Get the root of a thread and all of its replies
+export const getThread = async (req, res) => {
+  try {
+    const { id: messageId } = req.params;
+    const myId = req.user._id;
+
+    const message = mongoose.isValidObjectId(messageId) && (await Message.findById(messageId));
+    if (!message || !(await isConversationMember(message, myId))) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+
+    // Opening any reply opens the whole thread
+    const rootId = message.threadRootId || message._id;
+    const root = rootId.equals(message._id) ? message : await Message.findById(rootId);
+    if (!root) {
+      return res.status(404).json({ error: "Thread not found" });
+    }
+    await root.populate("file");
+
+    const replies = await Message.find({ threadRootId: rootId, deletedFor: { $ne: myId } })
+      .sort({ createdAt: 1 })
+      .populate("replyTo", REPLY_PREVIEW_FIELDS)
+      .populate("file");
+
+    const participantIds = new Set([root, ...replies].map((reply) => reply.senderId.toString()));
+
+    res.status(200).json({
+      root: withReactionCounts(root),
+      replies: replies.map(withReactionCounts),
+      replyCount: root.replyCount,
+      participantCount: participantIds.size,
+    });
+  } catch (error) {
+    console.log("Error in getThread controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Shared by the delivery and read acknowledgement endpoints
+const handleReceipts = async (req, res, status) => {
+  try {
+    const { messageIds } = req.body;
+
+    if (!Array.isArray(messageIds) || messageIds.length === 0 || messageIds.length > MAX_RECEIPT_BATCH) {
+      return res.status(400).json({ error: `messageIds must list 1 to ${MAX_RECEIPT_BATCH} messages` });
+    }
+
+    const updatedIds = await recordReceipts(req.user._id, messageIds, status);
+
+    res.status(200).json({ messageIds: updatedIds, status });
+  } catch (error) {
+    console.log("Error in receipts controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Acknowledge messages that reached one of your devices
+export const markDelivered = (req, res) => handleReceipts(req, res, "delivered");
+
+// Mark messages as read once they have been shown to you
+export const markRead = (req, res) => handleReceipts(req, res, "read");
+
+// Edit the text of a message, keeping the previous versions in its history
+export const editMessage = async (req, res) => {
+  try {
+    const { id: messageId } = req.params;
+    const { text } = req.body;
+    const myId = req.user._id;
+
+    if (typeof text !== "string" || !text.trim()) {
+      return res.status(400).json({ error: "Message text is required" });
+    }
+
+    const message = mongoose.isValidObjectId(messageId) && (await Message.findById(messageId));
+    if (!message || message.isDeleted) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+
+    if (message.senderId.toString() !== myId.toString() || message.isSystemMessage) {
+      return res.status(403).json({ error: "You can only edit your own messages" });
+    }
+
+    const newText = text.trim();
+    if (newText === message.text) {
+      return res.status(200).json(withReactionCounts(message));
+    }
+
+    message.editHistory.push({
+      text: message.text,
+      editedAt: message.editedAt || message.createdAt,
+    });
+    message.text = newText;
+    message.editedAt = new Date();
+    await message.save();
+
+    const updatedMessage = withReactionCounts(message);
+    await notifyConversation(message, "messageUpdated", updatedMessage);
+
+    res.status(200).json(updatedMessage);
+  } catch (error) {
+    console.log("Error in editMessage controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Delete a message for the current user only (scope=me, the default),
+// or for everyone in the conversation (scope=everyone, sender only)
+export const deleteMessage = async (req, res) => {
+  try {
+    const { id: messageId } = req.params;
+    const { scope = "me" } = req.query;
+    const myId = req.user._id;
+
+    if (!["me", "everyone"].includes(scope)) {
+      return res.status(400).json({ error: "Invalid delete scope" });
+    }
+
+    const message = mongoose.isValidObjectId(messageId) && (await Message.findById(messageId));
+    if (!message || !(await isConversationMember(message, myId))) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+
+    if (scope === "me") {
+      await Message.updateOne({ _id: messageId }, { $addToSet: { deletedFor: myId } });
+      return res.status(200).json({ messageId, scope });
+    }
+
+    if (message.senderId.toString() !== myId.toString() || message.isSystemMessage) {
+      return res.status(403).json({ error: "You can only delete your own messages for everyone" });
+    }
+
+    // The file goes with the message, so it drops out of the file listing too
+    if (message.file) await deleteFile(message.file);
+
+    const wasDeleted = message.isDeleted;
+
+    // Clear the content but keep the record so the timeline shows a placeholder
+    message.text = undefined;
+    message.image = undefined;
+    message.file = undefined;
+    message.editHistory = [];
+    message.reactions = [];
+    message.isDeleted = true;
+    message.deletedAt = new Date();
+    await message.save();
+
+    await notifyConversation(message, "messageDeleted", message);
+
+    // A reply deleted for everyone no longer counts towards its thread
+    if (message.threadRootId && !wasDeleted) {
+      const root = await Message.findOneAndUpdate(
+        { _id: message.threadRootId, replyCount: { $gt: 0 } },
+        { $inc: { replyCount: -1 } },
+        { new: true }
+      );
+      if (root) {
+        await notifyConversation(root, "messageUpdated", { _id: root._id, replyCount: root.replyCount }, null);
+      }
+    }
+
+    res.status(200).json(message);
+  } catch (error) {
+    console.log("Error in deleteMessage controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Add a reaction to a message; a user can react once with each emoji
+export const addReaction = async (req, res) => {
+  try {
+    const { id: messageId } = req.params;
+    const { emoji } = req.body;
+    const myId = req.user._id;
+
+    if (!isValidReaction(emoji)) {
+      return res.status(400).json({ error: "A valid emoji is required" });
+    }
+
+    const message = mongoose.isValidObjectId(messageId) && (await Message.findById(messageId));
+    if (!message || message.isDeleted || !(await isConversationMember(message, myId))) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+
+    const updatedMessage = await Message.findOneAndUpdate(
+      { _id: messageId, reactions: { $not: { $elemMatch: { emoji, userId: myId } } } },
+      { $push: { reactions: { emoji, userId: myId } } },
+      { new: true }
+    );
+
+    // Already reacted with this emoji: nothing changed, nothing to broadcast
+    if (!updatedMessage) {
+      return res.status(200).json({ messageId, reactions: summarizeReactions(message.reactions) });
+    }
+
+    const reactionData = { messageId, reactions: summarizeReactions(updatedMessage.reactions) };
+    await notifyConversation(updatedMessage, "messageReaction", reactionData, myId);
+
+    res.status(200).json(reactionData);
+  } catch (error) {
+    console.log("Error in addReaction controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Remove the current user's reaction with the given emoji from a message
+export const removeReaction = async (req, res) => {
+  try {
+    const { id: messageId, emoji } = req.params;
+    const myId = req.user._id;
+
+    if (!isValidReaction(emoji)) {
+      return res.status(400).json({ error: "A valid emoji is required" });
+    }
+
+    const message = mongoose.isValidObjectId(messageId) && (await Message.findById(messageId));
+    if (!message || !(await isConversationMember(message, myId))) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+
+    const updatedMessage = await Message.findByIdAndUpdate(
+      messageId,
+      { $pull: { reactions: { emoji, userId: myId } } },
+      { new: true }
+    );
+
+    const reactionData = { messageId, reactions: summarizeReactions(updatedMessage.reactions) };
+    await notifyConversation(updatedMessage, "messageReaction", reactionData, myId);
+
+    res.status(200).json(reactionData);
+  } catch (error) {
+    console.log("Error in removeReaction controller: ", error.message);
     res.status(500).json({ error: "Internal server error" });
   }
 };
@@ -7,12 +7,15 @@ import path from "path";
 
 import { connectDB } from "./lib/db.js";
 import { initNetworkServers } from "./lib/network.js";
+import { getNetworkConfig } from "./lib/network-config.js";
+import { getStorage } from "./lib/storage.js";
 
 import authRoutes from "./routes/auth.route.js";
 import messageRoutes from "./routes/message.route.js";
 import fileRoutes from "./routes/file.route.js";
 import chatRoutes from "./routes/chat.route.js";
 import networkRoutes from "./routes/network.routes.js";
+import mediaRoutes from "./routes/media.route.js";
 import { app, server } from "./lib/socket.js";
 
 // dotenv.config();
@@ -22,7 +25,12 @@ console.log("PORT:", process.env.PORT);
 console.log("MONGO_URI:", process.env.MONGO_URI);
 // const app = express();
 
-const PORT = process.env.PORT;
+// Invalid or conflicting network settings stop the server here, before
+// anything listens
+const networkConfig = getNetworkConfig();
+const PORT = networkConfig.port;
+// Likewise for the storage settings
+const storage = getStorage();
 const __dirname = path.resolve();
 
 app.use(express.json());
@@ -39,9 +47,7 @@ app.use("/api/messages", messageRoutes);
 app.use("/api/files", fileRoutes);
 app.use("/api/chats", chatRoutes);
 app.use("/api/network", networkRoutes);
-
-// Serve uploaded files
-app.use('/uploads', express.static(path.join(process.cwd(), 'uploads')));
+app.use("/api/media", mediaRoutes);
 
 if (process.env.NODE_ENV === "production") {
   app.use(express.static(path.join(__dirname, "../frontend/dist")));
@@ -55,9 +61,10 @@ server.listen(PORT, () => {
   console.log("server is running on PORT:" + PORT);
   connectDB();
   
-  // Initialize UDP and TCP servers
-  const networkServers = initNetworkServers(parseInt(PORT));
-  console.log("UDP server running on port: " + (parseInt(PORT) + 1));
-  console.log("TCP server running on port: " + (parseInt(PORT) + 2));
-  console.log("UDP and TCP servers initialized successfully");
+  // Initialize the enabled UDP and TCP servers
+  initNetworkServers(networkConfig);
+  const { bindHost, udp, tcp } = networkConfig;
+  console.log(udp.enabled ? `UDP server running on ${bindHost}:${udp.port}` : "UDP server disabled");
+  console.log(tcp.enabled ? `TCP server running on ${bindHost}:${tcp.port}` : "TCP server disabled");
+  console.log(`Storing uploads with the ${storage.name} storage driver`);
 });
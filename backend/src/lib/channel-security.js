@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { protocolError } from './tcp-protocol.js';
+import { getNetworkConfig } from './network-config.js';
+
+// Encryption and authentication of the UDP and TCP channels.
+//
+// The TCP file channel runs over TLS, with the key and certificate named by
+// TCP_TLS_KEY and TCP_TLS_CERT. Outside production a self-signed pair is
+// generated into certs/ when they aren't set.
+//
+// Traffic on both channels is authenticated with HMAC-SHA256 keys derived
+// from NETWORK_SECRET, which every process talking on the channels shares:
+// - UDP datagrams are the 32-byte HMAC followed by the packet's JSON. Each
+//   sending session (see udp-client.js) signs with its own key, derived from
+//   the secret and the session id carried in the packet, and the server's
+//   ACKs are signed with the same key.
+// - TCP HEADER frames carry a hex `signature` of the rest of the header.
+// Both are stamped with the time they were signed, and rejected when that's
+// more than MAX_CLOCK_SKEW_MS away. Rejections carry the code
+// `UNAUTHENTICATED`.
+
+const MAC_BYTES = 32;
+const MAX_CLOCK_SKEW_MS = 30 * 1000;
+
+const devCertDir = path.join(process.cwd(), 'certs');
+
+let generatedSecret = null;
+
+// Read when used so it picks up NETWORK_SECRET from the .env file. Without
+// it, a random secret still lets this process's own clients and servers
+// talk to each other.
+const networkSecret = () => {
+  if (process.env.NETWORK_SECRET) return process.env.NETWORK_SECRET;
+  if (!generatedSecret) {
+    generatedSecret = crypto.randomBytes(32);
+    console.log('NETWORK_SECRET is not set, using a random secret: only this process can use the UDP and TCP channels');
+  }
+  return generatedSecret;
+};
+
+const deriveKey = (salt, info) => Buffer.from(crypto.hkdfSync('sha256', networkSecret(), salt, info, 32));
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+const isFresh = (timestamp) => Number.isFinite(timestamp) && Math.abs(Date.now() - timestamp) <= MAX_CLOCK_SKEW_MS;
+
+const unauthenticated = (message) => protocolError('UNAUTHENTICATED', message);
+
+/**
+ * Signs a UDP packet with the key of `session`.
+ * @returns {Buffer} The datagram to send
+ */
+export const sealDatagram = (packet, session) => {
+  const body = Buffer.from(JSON.stringify({ ...packet, session, timestamp: Date.now() }));
+  return Buffer.concat([hmac(deriveKey(session, 'udp-datagram'), body), body]);
+};
+
+/**
+ * Checks the signature and age of a datagram made by sealDatagram. Errors
+ * carry the code `UNAUTHENTICATED`.
+ * @returns {Object} The packet, including its `session`
+ */
+export const openDatagram = (datagram) => {
+  const mac = datagram.subarray(0, MAC_BYTES);
+  const body = datagram.subarray(MAC_BYTES);
+
+  let packet;
+  try {
+    packet = JSON.parse(body.toString());
+  } catch {
+    throw unauthenticated('The datagram is not signed');
+  }
+  if (typeof packet?.session !== 'string' || !packet.session) {
+    throw unauthenticated('The datagram is not signed');
+  }
+  if (!crypto.timingSafeEqual(mac, hmac(deriveKey(packet.session, 'udp-datagram'), body))) {
+    throw unauthenticated('The datagram signature is invalid');
+  }
+  if (!isFresh(packet.timestamp)) {
+    throw unauthenticated('The datagram is too old');
+  }
+  return packet;
+};
+
+// Signs a TCP HEADER frame's payload
+export const signHeader = (header) => {
+  const signed = { ...header, timestamp: Date.now() };
+  const signature = hmac(deriveKey('', 'tcp-header'), JSON.stringify(signed)).toString('hex');
+  return { ...signed, signature };
+};
+
+/**
+ * Checks the signature and age of a HEADER frame's payload made by
+ * signHeader. Errors carry the code `UNAUTHENTICATED`.
+ * @returns {Object} The header, without its signature
+ */
+export const verifyHeader = (header) => {
+  const { signature, ...signed } = header || {};
+  if (typeof signature !== 'string') {
+    throw unauthenticated('The header is not signed');
+  }
+
+  const expected = hmac(deriveKey('', 'tcp-header'), JSON.stringify(signed));
+  const given = Buffer.from(signature, 'hex');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw unauthenticated('The header signature is invalid');
+  }
+  if (!isFresh(signed.timestamp)) {
+    throw unauthenticated('The header is too old');
+  }
+  return signed;
+};
+
+// Generates a self-signed certificate for localhost and the address the
+// clients connect to, unless a valid one is already in certs/
+const ensureDevCertificate = (host) => {
+  const keyPath = path.join(devCertDir, 'tcp-dev-key.pem');
+  const certPath = path.join(devCertDir, 'tcp-dev-cert.pem');
+
+  if (fs.existsSync(keyPath) && fs.existsSync(certPath)) {
+    const certificate = new crypto.X509Certificate(fs.readFileSync(certPath));
+    if (new Date(certificate.validTo) > new Date() && certificate.checkIP(host)) return { keyPath, certPath };
+  }
+
+  const altNames = [...new Set(['DNS:localhost', 'IP:127.0.0.1', `IP:${host}`])].join(',');
+
+  fs.mkdirSync(devCertDir, { recursive: true });
+  try {
+    execFileSync('openssl', [
+      'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-days', '365',
+      '-keyout', keyPath, '-out', certPath,
+      '-subj', '/CN=localhost',
+      '-addext', `subjectAltName=${altNames}`,
+    ], { stdio: 'ignore' });
+  } catch (error) {
+    throw new Error(`Could not generate a TLS certificate with openssl (${error.message}); set TCP_TLS_KEY and TCP_TLS_CERT`);
+  }
+  console.log(`Generated a self-signed TLS certificate for the TCP server in ${devCertDir}`);
+  return { keyPath, certPath };
+};
+
+let tlsCredentials = null;
+
+/**
+ * TLS material of the TCP channel. `key` and `cert` are the server's; `ca` is
+ * what clients trust: TCP_TLS_CA if set, otherwise the server's certificate.
+ * @returns {Object} `{ key, cert, ca }`
+ */
+export const loadTlsCredentials = () => {
+  if (tlsCredentials) return tlsCredentials;
+
+  let keyPath = process.env.TCP_TLS_KEY;
+  let certPath = process.env.TCP_TLS_CERT;
+  if (!keyPath || !certPath) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('TCP_TLS_KEY and TCP_TLS_CERT must be set in production');
+    }
+    ({ keyPath, certPath } = ensureDevCertificate(getNetworkConfig().connectHost));
+  }
+
+  const cert = fs.readFileSync(certPath);
+  tlsCredentials = {
+    key: fs.readFileSync(keyPath),
+    cert,
+    ca: process.env.TCP_TLS_CA ? fs.readFileSync(process.env.TCP_TLS_CA) : cert,
+  };
+  return tlsCredentials;
+};
@@ -0,0 +1,125 @@
+import crypto from "crypto";
+import path from "path";
+import File from "../models/file.model.js";
+import { getStorage } from "./storage.js";
+import { protocolError } from "./tcp-protocol.js";
+import { discardTransfer, isTransferComplete, partialPath } from "./transfers.js";
+
+// Records of the stored chat files. Every completed transfer is handed to the
+// configured storage driver (see storage.js) and gets a File document, which
+// messages link to and the file listing queries. With
+// FILE_RETENTION_DAYS set, files are deleted that many days after they were
+// stored.
+//
+// Files are only served through the download route, to participants of the
+// conversation they were sent in, or to anyone holding a signed URL: a link
+// that names the file and an expiry time, signed with JWT_SECRET.
+
+// How long a signed download URL stays valid
+const SIGNED_URL_TTL_MS = 15 * 60 * 1000;
+
+// Read when used so it picks up FILE_RETENTION_DAYS from the .env file
+const retentionMs = () => {
+  const days = Number(process.env.FILE_RETENTION_DAYS);
+  return days > 0 ? days * 24 * 60 * 60 * 1000 : null;
+};
+
+/**
+ * Hands a fully received transfer to the configured storage, records it and
+ * forgets the transfer. `sha256` is the verified hash of the file. The stored
+ * file is removed again if it can't be recorded.
+ * @returns {Promise<Object>} `{ fileId, fileName, url, size, sha256 }`, `url`
+ * being the file's download route
+ */
+export const storeTransfer = async (transfer, { sha256 }) => {
+  if (!isTransferComplete(transfer)) {
+    throw protocolError("INCOMPLETE", "The transfer has not received the whole file");
+  }
+
+  const storage = getStorage();
+  // basename() keeps a crafted file name from escaping the local uploads directory
+  const storedName = `${Date.now()}-${path.basename(transfer.fileName)}`;
+  const mimeType = transfer.fileType || undefined;
+  await storage.putFile(storedName, partialPath(transfer), { contentType: mimeType });
+  await discardTransfer(transfer);
+
+  let file;
+  try {
+    const retention = retentionMs();
+    file = await File.create({
+      ownerId: transfer.senderId,
+      receiverId: transfer.chatRoomId ? undefined : transfer.receiverId,
+      chatRoomId: transfer.chatRoomId || undefined,
+      originalName: transfer.fileName,
+      storedName,
+      storage: storage.name,
+      size: transfer.size,
+      mimeType,
+      sha256,
+      expiresAt: retention ? new Date(Date.now() + retention) : undefined,
+    });
+  } catch (error) {
+    await storage.remove(storedName);
+    throw error;
+  }
+
+  return {
+    fileId: file._id.toString(),
+    fileName: transfer.fileName,
+    url: file.url,
+    size: transfer.size,
+    sha256,
+  };
+};
+
+/**
+ * Reads a stored file, or the bytes `start` to `end` (inclusive) of it, from
+ * the driver holding it. Errors with code `NOT_FOUND` when it's gone.
+ * @returns {Promise<Readable>}
+ */
+export const readFile = (file, range) => getStorage(file.storage).createReadStream(file.storedName, range);
+
+export const isFileExpired = (file) => Boolean(file.expiresAt) && file.expiresAt <= new Date();
+
+const downloadSignature = (fileId, expires) =>
+  crypto.createHmac("sha256", process.env.JWT_SECRET).update(`file-download:${fileId}:${expires}`).digest("hex");
+
+/**
+ * A download URL of the file that works without the session cookie until it
+ * expires, e.g. as the `src` of an `<img>` or `<video>` tag.
+ * @returns {Object} `{ url, expiresAt }`
+ */
+export const signFileUrl = (file) => {
+  const expires = Date.now() + SIGNED_URL_TTL_MS;
+  const query = new URLSearchParams({
+    expires: String(expires),
+    signature: downloadSignature(file._id.toString(), expires),
+    disposition: "inline",
+  });
+  return { url: `${file.url}?${query}`, expiresAt: new Date(expires) };
+};
+
+// Checks the `expires` and `signature` of a signed download URL
+export const verifyFileSignature = (fileId, expires, signature) => {
+  if (typeof signature !== "string" || !/^\d+$/.test(expires) || Number(expires) < Date.now()) return false;
+
+  const expected = Buffer.from(downloadSignature(fileId, expires), "hex");
+  const given = Buffer.from(signature, "hex");
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// Deletes a file from its storage and its record
+export const deleteFile = async (fileId) => {
+  const file = await File.findByIdAndDelete(fileId);
+  if (file) await getStorage(file.storage).remove(file.storedName);
+};
+
+// Clears out files past their retention
+const sweepExpiredFiles = async () => {
+  const expiredFiles = await File.find({ expiresAt: { $lte: new Date() } }).select("_id");
+  for (const file of expiredFiles) await deleteFile(file._id);
+};
+
+setInterval(() => {
+  sweepExpiredFiles().catch((error) => console.log("Error sweeping expired files:", error.message));
+}, 60 * 60 * 1000).unref();
@@ -0,0 +1,84 @@
+import net from 'net';
+
+// Network topology of the backend, read from the environment:
+//
+//   PORT               HTTP server: the REST API and socket.io (required)
+//   NETWORK_BIND_HOST  IPv4 address the UDP and TCP servers bind to (default 127.0.0.1)
+//   UDP_PORT           UDP message server (default PORT+1)
+//   TCP_PORT           TCP file server (default PORT+2)
+//   UDP_ENABLED        `false` turns the UDP server and client off (default true)
+//   TCP_ENABLED        `false` turns the TCP server and client off (default true)
+//
+// The UDP and TCP clients connect to the bind host, or to 127.0.0.1 when the
+// servers bind to every interface. Browsers only ever talk to the HTTP server.
+
+const parsePort = (name, value, errors) => {
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    errors.push(`${name} must be a port number between 1 and 65535, got "${value}"`);
+  }
+  return port;
+};
+
+const parseFlag = (name, value, errors) => {
+  if (value === undefined || value === '') return true;
+  if (['true', '1', 'yes'].includes(value.toLowerCase())) return true;
+  if (['false', '0', 'no'].includes(value.toLowerCase())) return false;
+  errors.push(`${name} must be true or false, got "${value}"`);
+  return true;
+};
+
+/**
+ * Reads and validates the network settings from `env`. Throws one error
+ * listing every problem: invalid values, or two servers of the same protocol
+ * on one port.
+ * @returns {Object} `{ port, bindHost, connectHost, udp: { enabled, port }, tcp: { enabled, port } }`
+ */
+export const loadNetworkConfig = (env = process.env) => {
+  const errors = [];
+
+  const port = parsePort('PORT', env.PORT, errors);
+  const bindHost = env.NETWORK_BIND_HOST || '127.0.0.1';
+  if (!net.isIPv4(bindHost)) {
+    errors.push(`NETWORK_BIND_HOST must be an IPv4 address, got "${bindHost}"`);
+  }
+
+  const udp = {
+    enabled: parseFlag('UDP_ENABLED', env.UDP_ENABLED, errors),
+    port: env.UDP_PORT ? parsePort('UDP_PORT', env.UDP_PORT, errors) : port + 1,
+  };
+  const tcp = {
+    enabled: parseFlag('TCP_ENABLED', env.TCP_ENABLED, errors),
+    port: env.TCP_PORT ? parsePort('TCP_PORT', env.TCP_PORT, errors) : port + 2,
+  };
+
+  // The HTTP server and the TCP file server both listen for TCP connections;
+  // UDP has its own port space
+  if (tcp.enabled && tcp.port === port) {
+    errors.push(`TCP_PORT (${tcp.port}) conflicts with the HTTP server's PORT`);
+  }
+  if (!env.UDP_PORT && udp.port > 65535) errors.push(`The default UDP port PORT+1 (${udp.port}) is out of range`);
+  if (!env.TCP_PORT && tcp.port > 65535) errors.push(`The default TCP port PORT+2 (${tcp.port}) is out of range`);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid network configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return {
+    port,
+    bindHost,
+    connectHost: bindHost === '0.0.0.0' ? '127.0.0.1' : bindHost,
+    udp,
+    tcp,
+  };
+};
+
+let networkConfig = null;
+
+// The validated settings of this process. Read on first use so they come
+// from the .env file; index.js reads them at startup so bad settings stop
+// the server before anything listens.
+export const getNetworkConfig = () => {
+  if (!networkConfig) networkConfig = loadNetworkConfig();
+  return networkConfig;
+};
@@ -1,28 +1,51 @@
 import dgram from 'dgram';
-import net from 'net';
+import tls from 'tls';
 import fs from 'fs';
-import path from 'path';
-import { Worker } from 'worker_threads';
-import threadPool from './thread-pool.js';
 import tcpClient from './tcp-client.js';
 import udpClient from './udp-client.js';
-import { io, getReceiverSocketId } from './socket.js';
-
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(process.cwd(), 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
+import { emitToUsers, getConversationRecipients } from './socket.js';
+import {
+  FRAME_DATA,
+  FRAME_ERROR,
+  FRAME_HEADER,
+  FRAME_READY,
+  FRAME_STORED,
+  FRAME_TRAILER,
+  FrameDecoder,
+  crc32,
+  encodeFrame,
+  maxFileSize,
+  protocolError
+} from './tcp-protocol.js';
+import {
+  addRange,
+  digestReceived,
+  discardTransfer,
+  openTransfer,
+  partialPath,
+  resumeOffset,
+  saveTransfer
+} from './transfers.js';
+import { storeTransfer } from './files.js';
+import { PACKET_ACK, PACKET_DATA, ReliableReceiver } from './reliable-udp.js';
+import { loadTlsCredentials, openDatagram, sealDatagram, verifyHeader } from './channel-security.js';
+import { getNetworkConfig } from './network-config.js';
 
 // UDP Server for quick message delivery
 const udpServer = dgram.createSocket('udp4');
 
 // تصدير دالة لإرسال رسائل UDP
-export const sendUdpMessage = async (messageData) => {
+// Pass `{ reliable: true }` to wait for the server's ACK; resolves with the
+// delivery status reported by the UDP client. Errors with code
+// `TRANSPORT_DISABLED` when UDP is turned off.
+export const sendUdpMessage = async (messageData, options) => {
+  if (!getNetworkConfig().udp.enabled) {
+    throw protocolError('TRANSPORT_DISABLED', 'The UDP transport is disabled');
+  }
+
   try {
     // استخدام عميل UDP لإرسال الرسالة
-    await udpClient.sendMessage(messageData);
-    return true;
+    return await udpClient.sendMessage(messageData, options);
   } catch (error) {
     console.error('Error sending UDP message:', error);
     throw error;
@@ -34,22 +57,65 @@ udpServer.on('error', (err) => {
   udpServer.close();
 });
 
+// Pending deliveries of each sender's UDP messages, so looking up a room's
+// participants doesn't reorder them
+const udpDeliveries = new Map();
+
+// Forward a UDP message to the receiver, or to every other participant of the
+// chat room, once the sender is confirmed to belong to the conversation
+const deliverUdpMessage = async (data) => {
+  const recipientIds = await getConversationRecipients(data.senderId, data);
+  if (!recipientIds) {
+    console.error(`Dropped UDP message from ${data.senderId}: not a member of the conversation`);
+    return;
+  }
+
+  emitToUsers(recipientIds, 'udpMessage', {
+    senderId: data.senderId,
+    chatRoomId: data.chatRoomId || null,
+    text: data.text,
+    timestamp: new Date()
+  });
+};
+
+const forwardUdpMessage = (data) => {
+  if (!data?.senderId || (!data.receiverId && !data.chatRoomId)) return;
+
+  const senderId = String(data.senderId);
+  const delivery = (udpDeliveries.get(senderId) || Promise.resolve())
+    .then(() => deliverUdpMessage(data))
+    .catch((error) => console.error('Error delivering UDP message:', error));
+  udpDeliveries.set(senderId, delivery);
+  delivery.then(() => {
+    if (udpDeliveries.get(senderId) === delivery) udpDeliveries.delete(senderId);
+  });
+};
+
+// Dedupes and reorders reliable datagrams before forwarding them
+const reliableReceiver = new ReliableReceiver(forwardUdpMessage);
+
+// Only datagrams signed by a client holding the network secret are accepted
 udpServer.on('message', (msg, rinfo) => {
+  let data;
   try {
-    const data = JSON.parse(msg.toString());
-    console.log(`UDP message from ${rinfo.address}:${rinfo.port}: ${data.text}`);
-    
-    // Forward the message to the appropriate socket.io client
-    if (data.receiverId) {
-      const receiverSocketId = getReceiverSocketId(data.receiverId);
-      if (receiverSocketId) {
-        io.to(receiverSocketId).emit('udpMessage', {
-          senderId: data.senderId,
-          text: data.text,
-          timestamp: new Date()
-        });
+    data = openDatagram(msg);
+  } catch (error) {
+    console.error(`Rejected UDP datagram from ${rinfo.address}:${rinfo.port}: ${error.message}`);
+    return;
+  }
+
+  try {
+    console.log(`UDP message from ${rinfo.address}:${rinfo.port}: ${data.payload?.text ?? data.text}`);
+
+    if (data.type === PACKET_DATA) {
+      if (reliableReceiver.receive(data)) {
+        const ack = sealDatagram({ type: PACKET_ACK, senderId: data.senderId, seq: data.seq }, data.session);
+        udpServer.send(ack, rinfo.port, rinfo.address);
       }
+      return;
     }
+
+    forwardUdpMessage(data);
   } catch (error) {
     console.error('Error processing UDP message:', error);
   }
@@ -61,109 +127,244 @@ udpServer.on('listening', () => {
 });
 
 // تصدير دالة لإرسال الملفات عبر TCP
+// Resolves with the server's `{ fileId, fileName, url, size, sha256 }` once the
+// file is stored. Errors with code `TRANSPORT_DISABLED` when TCP is turned off.
 export const sendFileViaTcp = async (filePath, fileInfo) => {
+  if (!getNetworkConfig().tcp.enabled) {
+    throw protocolError('TRANSPORT_DISABLED', 'The TCP transport is disabled');
+  }
+
   try {
     // استخدام عميل TCP لإرسال الملف
-    await tcpClient.sendFile(filePath, fileInfo);
-    return true;
+    return await tcpClient.sendFile(filePath, fileInfo);
   } catch (error) {
     console.error('Error sending file via TCP:', error);
     throw error;
   }
 };
 
-// TCP Server for file transfers
-const tcpServer = net.createServer((socket) => {
+// How much newly written data makes the TCP server update a transfer's record
+const PROGRESS_RECORD_BYTES = 4 * 1024 * 1024;
+
+// TCP Server for file transfers, speaking the framed protocol in tcp-protocol.js
+// over TLS. Transfers are written through the resumable transfer store in
+// transfers.js. Created by initNetworkServers, once the TLS settings are loaded.
+let tcpServer = null;
+
+const handleTcpConnection = (socket) => {
   console.log('Client connected to TCP server');
   
-  let fileData = Buffer.alloc(0);
-  let fileInfo = null;
-  
-  socket.on('data', (data) => {
-    // If this is the first chunk, it contains file metadata
-    if (!fileInfo) {
-      const metaEndIndex = data.indexOf('\n');
-      if (metaEndIndex !== -1) {
-        const metaData = data.slice(0, metaEndIndex).toString();
-        fileInfo = JSON.parse(metaData);
-        
-        // The rest is file data
-        fileData = Buffer.concat([fileData, data.slice(metaEndIndex + 1)]);
-        console.log(`Receiving file: ${fileInfo.fileName} for user: ${fileInfo.receiverId}`);
+  const decoder = new FrameDecoder();
+  socket.pipe(decoder);
+
+  let transfer = null;
+  let fileStream = null;
+  // Where this connection started writing, and how far it got
+  let startOffset = 0;
+  let received = 0;
+  let checksum = 0;
+  let hash = null;
+  let recordedBytes = 0;
+  let finished = false;
+
+  // Records the bytes this connection has flushed to the partial file, so a
+  // later connection can resume after them
+  const recordProgress = () => {
+    const written = fileStream.bytesWritten;
+    if (written - recordedBytes < PROGRESS_RECORD_BYTES) return;
+    recordedBytes = written;
+    addRange(transfer, startOffset, startOffset + written);
+    saveTransfer(transfer);
+  };
+
+  // Closes the partial file, keeping what was received for a resume
+  const closeFile = () => {
+    if (!fileStream) return Promise.resolve();
+    const stream = fileStream;
+    fileStream = null;
+    return new Promise((resolve) => {
+      stream.end(() => resolve());
+      stream.once('error', () => resolve());
+    }).then(() => {
+      if (stream.bytesWritten > recordedBytes) {
+        addRange(transfer, startOffset, startOffset + stream.bytesWritten);
+        return saveTransfer(transfer);
       }
+    });
+  };
+
+  // Rejects the transfer. Corrupt or aborted transfers are discarded; other
+  // failures keep the partial file so the sender can resume.
+  const fail = (code, message, { discard = false } = {}) => {
+    if (finished) return;
+    finished = true;
+    console.error(`TCP transfer failed (${code}): ${message}`);
+    socket.end(encodeFrame(FRAME_ERROR, { code, message }));
+
+    const current = transfer;
+    closeFile()
+      .then(() => discard && current && discardTransfer(current))
+      .catch((err) => console.error('Error closing transfer:', err));
+  };
+
+  const startFile = async (info) => {
+    if (!info || typeof info.fileName !== 'string' || !info.fileName) {
+      return fail('BAD_HEADER', 'The header must name the file');
+    }
+    if (!Number.isInteger(info.size) || info.size < 0) {
+      return fail('BAD_HEADER', 'The header must give the file size');
+    }
+    if (info.size > maxFileSize()) {
+      return fail('FILE_TOO_LARGE', `Files may be at most ${maxFileSize()} bytes`);
+    }
+
+    // Hold further frames until the transfer is ready to take them
+    decoder.pause();
+    try {
+      // Files only go to conversations the sender belongs to
+      if (!(await getConversationRecipients(info.senderId, info))) {
+        return fail('FORBIDDEN', 'The sender is not a member of the conversation');
+      }
+      transfer = await openTransfer({ ...info, size: info.size });
+      startOffset = resumeOffset(transfer);
+      received = startOffset;
+      ({ checksum, hash } = await digestReceived(transfer, startOffset));
+    } catch (err) {
+      return fail(err.code || 'OPEN_FAILED', err.message);
+    }
+    if (finished) return;
+
+    fileStream = fs.createWriteStream(partialPath(transfer), { flags: 'r+', start: startOffset });
+    fileStream.on('error', (err) => fail('WRITE_FAILED', err.message));
+    const destination = transfer.chatRoomId ? `room: ${transfer.chatRoomId}` : `user: ${transfer.receiverId}`;
+    console.log(`Receiving file: ${transfer.fileName} for ${destination} from byte ${startOffset}`);
+
+    socket.write(encodeFrame(FRAME_READY, { transferId: transfer.transferId, offset: startOffset }));
+    decoder.resume();
+  };
+
+  const finishFile = async (trailer) => {
+    const sha256 = hash.digest('hex');
+    if (
+      trailer?.size !== transfer.size ||
+      received !== transfer.size ||
+      trailer?.crc32 !== checksum ||
+      trailer?.sha256 !== sha256
+    ) {
+      return fail('CHECKSUM_MISMATCH', 'The received data does not match the trailer', { discard: true });
+    }
+
+    let storedFile;
+    try {
+      await closeFile();
+      storedFile = await storeTransfer(transfer, { sha256 });
+    } catch (err) {
+      return fail(err.code || 'WRITE_FAILED', err.message);
+    }
+    if (finished) return;
+    finished = true;
+    console.log(`File saved: ${storedFile.fileName} (${storedFile.fileId})`);
+    socket.end(encodeFrame(FRAME_STORED, storedFile));
+
+    // Notify the receiver, or every other participant of the chat room. The
+    // file is stored by now, so a failure here only loses the notification.
+    try {
+      const recipientIds = await getConversationRecipients(transfer.senderId, transfer);
+      emitToUsers(recipientIds || [], 'fileReceived', {
+        senderId: transfer.senderId,
+        chatRoomId: transfer.chatRoomId,
+        fileId: storedFile.fileId,
+        fileName: storedFile.fileName,
+        url: storedFile.url,
+        sha256: storedFile.sha256,
+        timestamp: new Date()
+      });
+    } catch (err) {
+      console.error('Error notifying the recipients of a TCP file:', err.message);
+    }
+  };
+
+  decoder.on('data', ({ type, payload }) => {
+    if (finished) return;
+
+    if (type === FRAME_HEADER && !transfer) {
+      // Only senders holding the network secret may store files
+      let info;
+      try {
+        info = verifyHeader(payload);
+      } catch (err) {
+        console.error(`Rejected TCP transfer from ${socket.remoteAddress}: ${err.message}`);
+        return fail(err.code, err.message);
+      }
+      startFile(info);
+    } else if (type === FRAME_DATA && fileStream) {
+      received += payload.length;
+      // Enforced as the data arrives, whatever the sender claims
+      if (received > transfer.size) {
+        return fail('SIZE_MISMATCH', 'More data arrived than the header announced', { discard: true });
+      }
+      checksum = crc32(payload, checksum);
+      hash.update(payload);
+      // Stop reading frames until the disk catches up
+      if (!fileStream.write(payload)) {
+        decoder.pause();
+        fileStream.once('drain', () => {
+          recordProgress();
+          decoder.resume();
+        });
+      }
+    } else if (type === FRAME_TRAILER && fileStream) {
+      finishFile(payload);
+    } else if (type === FRAME_ERROR) {
+      // The sender aborted the transfer
+      console.error(`TCP transfer aborted by sender: ${payload.message}`);
+      finished = true;
+      socket.end();
+      const current = transfer;
+      closeFile()
+        .then(() => current && discardTransfer(current))
+        .catch((err) => console.error('Error closing transfer:', err));
     } else {
-      fileData = Buffer.concat([fileData, data]);
+      fail('UNEXPECTED_FRAME', `Unexpected frame of type ${type}`);
     }
   });
+
+  decoder.on('error', (err) => fail(err.code, err.message));
   
-  socket.on('end', () => {
-    if (fileInfo) {
-      const filePath = path.join(uploadsDir, `${Date.now()}-${fileInfo.fileName}`);
-      
-      // Save file using worker thread to avoid blocking the main thread
-      const worker = new Worker(`
-        const { parentPort, workerData } = require('worker_threads');
-        const fs = require('fs');
-        
-        fs.writeFile(workerData.filePath, workerData.fileData, (err) => {
-          if (err) {
-            parentPort.postMessage({ success: false, error: err.message });
-          } else {
-            parentPort.postMessage({ success: true, filePath: workerData.filePath });
-          }
-        });
-      `, { 
-        eval: true,
-        workerData: { 
-          filePath, 
-          fileData 
-        }
-      });
-      
-      worker.on('message', (result) => {
-        if (result.success) {
-          console.log(`File saved: ${result.filePath}`);
-          
-          // Notify the receiver about the file
-          const receiverSocketId = getReceiverSocketId(fileInfo.receiverId);
-          if (receiverSocketId) {
-            io.to(receiverSocketId).emit('fileReceived', {
-              senderId: fileInfo.senderId,
-              fileName: fileInfo.fileName,
-              filePath: `/uploads/${path.basename(result.filePath)}`,
-              timestamp: new Date()
-            });
-          }
-        } else {
-          console.error(`Error saving file: ${result.error}`);
-        }
-      });
-      
-      worker.on('error', (err) => {
-        console.error('Worker error:', err);
-      });
+  socket.on('close', () => {
+    // A dropped connection keeps the partial file for a resume
+    if (!finished) {
+      finished = true;
+      closeFile().catch((err) => console.error('Error closing transfer:', err));
     }
-    
     console.log('Client disconnected from TCP server');
   });
   
   socket.on('error', (err) => {
     console.error('TCP socket error:', err);
   });
-});
+};
+
+// Start the servers of the enabled transports, on the configured bind host
+// and ports (see network-config.js)
+export const initNetworkServers = (config = getNetworkConfig()) => {
+  if (config.udp.enabled) {
+    udpServer.bind(config.udp.port, config.bindHost);
+  }
+
+  if (config.tcp.enabled) {
+    const { key, cert } = loadTlsCredentials();
+    tcpServer = tls.createServer({ key, cert }, handleTcpConnection);
+    tcpServer.on('tlsClientError', (err, socket) => {
+      console.error(`Rejected TCP connection from ${socket.remoteAddress}: ${err.reason || err.message}`);
+    });
+    tcpServer.listen(config.tcp.port, config.bindHost, () => {
+      console.log(`TCP server listening on ${config.bindHost}:${config.tcp.port}`);
+    });
+  }
 
-// Initialize the network servers
-export const initNetworkServers = (port = 3000) => {
-  // Start UDP server on port+1
-  udpServer.bind(port + 1);
-  
-  // Start TCP server on port+2
-  tcpServer.listen(port + 2, () => {
-    console.log(`TCP server listening on port ${port + 2}`);
-  });
-  
   return {
-    udpServer,
+    udpServer: config.udp.enabled ? udpServer : null,
     tcpServer
   };
-};
\ No newline at end of file
+};
@@ -0,0 +1,50 @@
+import ChatRoom from "../models/chatroom.model.js";
+import Message from "../models/message.model.js";
+
+// What other users may see of someone's presence: expired custom statuses
+// are dropped and last-seen is hidden when the user's privacy settings ask for it
+
+const activeCustomStatus = (customStatus) => {
+  if (!customStatus?.text && !customStatus?.emoji) return null;
+  if (customStatus.expiresAt && customStatus.expiresAt <= new Date()) return null;
+  return { text: customStatus.text || "", emoji: customStatus.emoji || "", expiresAt: customStatus.expiresAt || null };
+};
+
+const visibleLastSeen = (user) => (user.privacy?.showLastSeen === false ? null : user.lastSeen);
+
+// Fields to select when populating other users (e.g. room participants); their
+// presence, including last-seen, comes from the presence stream
+export const PUBLIC_PROFILE_FIELDS = "-password -privacy -doNotDisturb -lastSeen";
+
+// Payload of `presence` socket events
+export const toPresence = (user, status = user.status) => ({
+  userId: user._id.toString(),
+  status,
+  customStatus: activeCustomStatus(user.customStatus),
+  lastSeen: visibleLastSeen(user),
+});
+
+// Another user's profile as returned by the API, without private settings
+export const toPublicUser = (user) => {
+  const { password, privacy, doNotDisturb, ...profile } = user.toObject ? user.toObject() : user;
+  return {
+    ...profile,
+    customStatus: activeCustomStatus(user.customStatus),
+    lastSeen: visibleLastSeen(user),
+  };
+};
+
+/**
+ * The users allowed to see `userId`'s presence: everyone sharing a chat room
+ * or a direct conversation with them, plus the user themselves (for their
+ * other devices). Ids are returned as strings.
+ */
+export const getPresenceAudience = async (userId) => {
+  const [roomMembers, messagedUsers, messagingUsers] = await Promise.all([
+    ChatRoom.distinct("participants", { participants: userId }),
+    Message.distinct("receiverId", { senderId: userId, receiverId: { $exists: true } }),
+    Message.distinct("senderId", { receiverId: userId }),
+  ]);
+
+  return [...new Set([userId, ...roomMembers, ...messagedUsers, ...messagingUsers].map(String))];
+};
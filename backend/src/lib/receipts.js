@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+import Message from "../models/message.model.js";
+import ChatRoom from "../models/chatroom.model.js";
+import { getReceiverSocketId, io } from "./socket.js";
+
+// Each recipient moves a message from sent (no entry) to delivered
+// (deliveredTo) to read (readBy). Reading implies delivery.
+const RECEIPT_FIELDS = {
+  delivered: ["deliveredTo"],
+  read: ["deliveredTo", "readBy"],
+};
+
+export const MAX_RECEIPT_BATCH = 200;
+
+/**
+ * Records that `userId` received or read the given messages and tells their
+ * senders. Only messages addressed to the user count, and a message that
+ * already has the receipt is skipped, so acks can safely be repeated.
+ * Resolves to the ids of the messages that changed.
+ */
+export const recordReceipts = async (userId, messageIds, status) => {
+  const fields = RECEIPT_FIELDS[status];
+  const ids = [...new Set(messageIds.map(String))].filter((id) => mongoose.isValidObjectId(id));
+  if (!fields || ids.length === 0) return [];
+
+  const myRoomIds = await ChatRoom.find({ participants: userId }).distinct("_id");
+  const messages = await Message.find({
+    _id: { $in: ids },
+    senderId: { $ne: userId },
+    isSystemMessage: { $ne: true },
+    $or: [{ receiverId: userId }, { chatRoomId: { $in: myRoomIds } }],
+    [fields[fields.length - 1]]: { $ne: userId },
+  }).select("senderId");
+
+  if (messages.length === 0) return [];
+
+  const at = new Date();
+  await Message.updateMany(
+    { _id: { $in: messages.map((m) => m._id) } },
+    { $addToSet: Object.fromEntries(fields.map((field) => [field, userId])) }
+  );
+
+  // One event per sender, listing their messages that changed
+  const bySender = new Map();
+  messages.forEach((message) => {
+    const senderId = message.senderId.toString();
+    bySender.set(senderId, [...(bySender.get(senderId) || []), message._id]);
+  });
+
+  bySender.forEach((senderMessageIds, senderId) => {
+    const socketId = getReceiverSocketId(senderId);
+    if (socketId) {
+      io.to(socketId).emit("messageStatus", { messageIds: senderMessageIds, userId, status, at });
+    }
+  });
+
+  return messages.map((m) => m._id);
+};
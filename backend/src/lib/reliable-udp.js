@@ -0,0 +1,95 @@
+// Optional reliability layer for the UDP message path.
+//
+// Reliable datagrams carry the sending client's `session` id, the app user
+// id of the sender and a per-sender sequence number. The receiver ACKs each
+// datagram it accepts, suppresses duplicates and hands messages on in
+// sequence order; the sender retransmits until it gets the ACK or gives up.
+// Datagrams without a `type` are legacy fire-and-forget messages. Packets are
+// signed and verified by channel-security.js, which also adds the `session`.
+
+export const PACKET_DATA = 'data';
+export const PACKET_ACK = 'ack';
+
+// The sender waits this long for the first ACK, doubling after each retry
+export const RETRANSMIT_INITIAL_MS = 200;
+export const RETRANSMIT_MAX_ATTEMPTS = 5;
+
+// How far ahead of the next expected sequence number datagrams are buffered
+const REORDER_WINDOW = 64;
+// How long buffered datagrams wait for a missing one before it's skipped.
+// Longer than the sender's whole retry budget (200 + 400 + ... + 3200 ms).
+const REORDER_TIMEOUT_MS = 7000;
+// Streams that have been quiet this long are forgotten
+const STREAM_IDLE_MS = 10 * 60 * 1000;
+
+/**
+ * Receiving end of the reliable UDP layer. Tracks one stream per sender and
+ * calls `deliver(payload)` once for every message, in sequence order.
+ */
+export class ReliableReceiver {
+  constructor(deliver) {
+    this.deliver = deliver;
+    this.streams = new Map();
+
+    setInterval(() => this.sweep(), STREAM_IDLE_MS).unref();
+  }
+
+  /**
+   * Accepts a data datagram.
+   * @param {Object} packet - `{ session, senderId, seq, payload }`
+   * @returns {boolean} whether the datagram should be acknowledged
+   */
+  receive(packet) {
+    const { session, senderId, seq, payload } = packet;
+    if (!session || !senderId || !Number.isInteger(seq) || seq < 1) return false;
+
+    const key = `${session}:${senderId}`;
+    let stream = this.streams.get(key);
+    if (!stream) {
+      stream = { nextSeq: 1, pending: new Map(), gapTimeout: null };
+      this.streams.set(key, stream);
+    }
+    stream.lastActivity = Date.now();
+
+    // Already seen: the ACK was probably lost, so acknowledge it again
+    if (seq < stream.nextSeq || stream.pending.has(seq)) return true;
+    // Too far ahead to buffer; the sender will retry
+    if (seq >= stream.nextSeq + REORDER_WINDOW) return false;
+
+    stream.pending.set(seq, payload);
+    this.drain(stream);
+    return true;
+  }
+
+  // Delivers the buffered messages that are next in sequence, and waits a
+  // while for any gap in front of the rest
+  drain(stream) {
+    const startSeq = stream.nextSeq;
+    while (stream.pending.has(stream.nextSeq)) {
+      const payload = stream.pending.get(stream.nextSeq);
+      stream.pending.delete(stream.nextSeq);
+      stream.nextSeq++;
+      this.deliver(payload);
+    }
+
+    if (stream.nextSeq !== startSeq || stream.pending.size === 0) {
+      clearTimeout(stream.gapTimeout);
+      stream.gapTimeout = null;
+    }
+    if (stream.pending.size > 0 && !stream.gapTimeout) {
+      stream.gapTimeout = setTimeout(() => {
+        // The sender gave up on the missing messages
+        stream.gapTimeout = null;
+        stream.nextSeq = Math.min(...stream.pending.keys());
+        this.drain(stream);
+      }, REORDER_TIMEOUT_MS);
+    }
+  }
+
+  sweep() {
+    const cutoff = Date.now() - STREAM_IDLE_MS;
+    for (const [key, stream] of this.streams) {
+      if (stream.lastActivity < cutoff && stream.pending.size === 0) this.streams.delete(key);
+    }
+  }
+}
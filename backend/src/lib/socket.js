@@ -1,6 +1,11 @@
 import { Server } from "socket.io";
 import http from "http";
 import express from "express";
+import mongoose from "mongoose";
+import ChatRoom from "../models/chatroom.model.js";
+import User from "../models/user.model.js";
+import { protectSocket } from "../middleware/auth.middleware.js";
+import { getPresenceAudience, toPresence } from "./presence.js";
 
 const app = express();
 const server = http.createServer(app);
@@ -8,29 +13,229 @@ const server = http.createServer(app);
 const io = new Server(server, {
   cors: {
     origin: ["http://localhost:5173"],
+    credentials: true,
   },
 });
 
+// Only authenticated users may connect; see protectSocket
+io.use(protectSocket);
+
+// Every socket joins a room named after its user, so emitting to that room
+// reaches all of the user's tabs and devices
+const userRoom = (userId) => `user:${userId}`;
+
+// Returns the target to pass to io.to() to reach every device of an online
+// user, or undefined when the user has no connected device
 export function getReceiverSocketId(userId) {
-  return userSocketMap[userId];
+  return userSockets.has(userId?.toString()) ? userRoom(userId) : undefined;
+}
+
+// used to store online users: {userId: Set of socket ids}
+const userSockets = new Map();
+// Sockets whose client reported the user idle
+const idleSockets = new Set();
+
+const PRESENCE_FIELDS = "status lastSeen customStatus doNotDisturb privacy";
+
+// A user's status as derived from their devices and do-not-disturb setting
+const computeStatus = (user) => {
+  const socketIds = userSockets.get(user._id.toString());
+  if (!socketIds) return "offline";
+  if (user.doNotDisturb) return "dnd";
+  return [...socketIds].every((socketId) => idleSockets.has(socketId)) ? "away" : "online";
+};
+
+/**
+ * Recomputes a user's status, persists it when it changed (stamping lastSeen)
+ * and sends it as a `presence` event to the users who share a conversation
+ * with them. Also called after the user edits their custom status or privacy
+ * settings.
+ */
+export async function publishPresence(userId) {
+  const user = await User.findById(userId).select(PRESENCE_FIELDS);
+  if (!user) return;
+
+  const status = computeStatus(user);
+  if (status !== user.status) {
+    user.status = status;
+    user.lastSeen = new Date();
+    await user.save();
+  }
+
+  emitToUsers(await getPresenceAudience(user._id), "presence", toPresence(user));
+}
+
+/**
+ * Lets users who just started sharing a conversation (a first direct
+ * message, a new room or new room members) see each other's presence
+ * without waiting for the next change.
+ */
+export async function sharePresence(userIds) {
+  const ids = [...new Set(userIds.map(String))];
+  const users = await User.find({ _id: { $in: ids.filter((id) => userSockets.has(id)) } }).select(PRESENCE_FIELDS);
+
+  users.forEach((user) => {
+    const others = ids.filter((id) => id !== user._id.toString());
+    emitToUsers(others, "presence", toPresence(user, computeStatus(user)));
+  });
+}
+
+// Presence of the connected users `userId` shares a conversation with, sent
+// to a socket when it connects
+const getPresenceSnapshot = async (userId) => {
+  const audience = await getPresenceAudience(userId);
+  const onlineIds = audience.filter((id) => userSockets.has(id));
+  const users = await User.find({ _id: { $in: onlineIds } }).select(PRESENCE_FIELDS);
+  return users.map((user) => toPresence(user, computeStatus(user)));
+};
+
+const logPresenceError = (error) => console.log("Error publishing presence:", error.message);
+
+// A typing indicator is re-announced at most this often while the user keeps typing
+const TYPING_THROTTLE_MS = 2000;
+// ...and clears itself if no keystroke arrives for this long
+const TYPING_TIMEOUT_MS = 5000;
+
+// Active indicators, keyed by `${userId}:${conversationId}`:
+// { recipientIds, payload, lastSentAt, timeout }
+const typingState = new Map();
+
+// Emits an event to every device of the given users that is online
+export function emitToUsers(userIds, event, payload) {
+  userIds.forEach((userId) => {
+    const socketId = getReceiverSocketId(userId);
+    if (socketId) io.to(socketId).emit(event, payload);
+  });
+}
+
+/**
+ * The users `userId` reaches by posting in a conversation: the DM partner
+ * (`receiverId`), or the other participants of a chat room (`chatRoomId`).
+ * Null if the user may not post in that conversation, e.g. a room they
+ * don't participate in. Used for typing indicators and for the messages and
+ * files that arrive over the UDP and TCP channels.
+ */
+export async function getConversationRecipients(userId, { chatRoomId, receiverId }) {
+  userId = userId?.toString();
+  receiverId = receiverId?.toString();
+  if (chatRoomId) {
+    if (!mongoose.isValidObjectId(chatRoomId)) return null;
+    const chatRoom = await ChatRoom.findById(chatRoomId).select("participants");
+    const participantIds = chatRoom?.participants.map(String) || [];
+    if (!participantIds.includes(userId)) return null;
+    return participantIds.filter((id) => id !== userId);
+  }
+
+  return mongoose.isValidObjectId(receiverId) && receiverId !== userId ? [receiverId] : null;
 }
 
-// used to store online users
-const userSocketMap = {}; // {userId: socketId}
+const stopTyping = (key) => {
+  const entry = typingState.get(key);
+  if (!entry) return;
+
+  clearTimeout(entry.timeout);
+  typingState.delete(key);
+  emitToUsers(entry.recipientIds, "typing", { ...entry.payload, isTyping: false });
+};
+
+/**
+ * Starts, refreshes or stops the typing indicator of `userId` in a DM
+ * (`receiverId`) or chat room (`chatRoomId`). Used by the socket `typing`
+ * event and the legacy chat controls endpoint.
+ */
+export async function updateTypingStatus(userId, { chatRoomId, receiverId, isTyping }) {
+  userId = userId.toString();
+  const key = `${userId}:${chatRoomId || receiverId}`;
+  const entry = typingState.get(key);
+
+  if (!isTyping) {
+    stopTyping(key);
+    return;
+  }
+
+  // Still typing within the throttle window: just push back the expiry
+  if (entry && Date.now() - entry.lastSentAt < TYPING_THROTTLE_MS) {
+    clearTimeout(entry.timeout);
+    entry.timeout = setTimeout(() => stopTyping(key), TYPING_TIMEOUT_MS);
+    return;
+  }
+
+  const recipientIds = await getConversationRecipients(userId, { chatRoomId, receiverId });
+  if (!recipientIds) return;
+
+  const payload = { userId, chatRoomId: chatRoomId || null, isTyping: true };
+  clearTimeout(entry?.timeout);
+  typingState.set(key, {
+    recipientIds,
+    payload,
+    lastSentAt: Date.now(),
+    timeout: setTimeout(() => stopTyping(key), TYPING_TIMEOUT_MS),
+  });
+  emitToUsers(recipientIds, "typing", payload);
+}
+
+// Disconnects the sockets opened with a session token, e.g. on logout. The
+// user's other sessions stay connected.
+export async function disconnectSession(userId, token) {
+  const sockets = await io.in(userRoom(userId)).fetchSockets();
+  sockets.filter((socket) => socket.data.token === token).forEach((socket) => socket.disconnect(true));
+}
 
 io.on("connection", (socket) => {
   console.log("A user connected", socket.id);
 
-  const userId = socket.handshake.query.userId;
-  if (userId) userSocketMap[userId] = socket.id;
+  const userId = socket.data.user._id.toString();
+  socket.join(userRoom(userId));
+
+  const socketIds = userSockets.get(userId) || new Set();
+  socketIds.add(socket.id);
+  userSockets.set(userId, socketIds);
+
+  // A new device can turn "away" back into "online"
+  publishPresence(userId).catch(logPresenceError);
+  getPresenceSnapshot(userId)
+    .then((snapshot) => socket.emit("presenceSnapshot", snapshot))
+    .catch(logPresenceError);
+
+  // The session ends when its token does
+  const expiryTimeout = setTimeout(() => socket.disconnect(true), socket.data.tokenExpiresAt - Date.now());
+
+  socket.on("typing", (data) => {
+    if (!data) return;
+    updateTypingStatus(userId, {
+      chatRoomId: data.chatRoomId,
+      receiverId: data.receiverId,
+      isTyping: data.isTyping === true,
+    }).catch((error) => console.log("Error in typing handler:", error.message));
+  });
+
+  // Clients report when the user has been inactive for a while, and when they're back
+  socket.on("idle", (isIdle) => {
+    const wasIdle = idleSockets.has(socket.id);
+    if (isIdle === wasIdle) return;
 
-  // io.emit() is used to send events to all the connected clients
-  io.emit("getOnlineUsers", Object.keys(userSocketMap));
+    if (isIdle) idleSockets.add(socket.id);
+    else idleSockets.delete(socket.id);
+    publishPresence(userId).catch(logPresenceError);
+  });
 
   socket.on("disconnect", () => {
     console.log("A user disconnected", socket.id);
-    delete userSocketMap[userId];
-    io.emit("getOnlineUsers", Object.keys(userSocketMap));
+    clearTimeout(expiryTimeout);
+    idleSockets.delete(socket.id);
+
+    const sockets = userSockets.get(userId);
+    if (!sockets) return;
+
+    sockets.delete(socket.id);
+    // The user stays online while any other device is connected, but closing
+    // the only active one may leave them away
+    if (sockets.size === 0) {
+      userSockets.delete(userId);
+      // Whatever this user was typing, they aren't anymore
+      [...typingState.keys()].filter((key) => key.startsWith(`${userId}:`)).forEach(stopTyping);
+    }
+    publishPresence(userId).catch(logPresenceError);
   });
 });
 
@@ -0,0 +1,175 @@
+import crypto from 'crypto';
+import path from 'path';
+import { protocolError } from './tcp-protocol.js';
+import { createLocalStorage } from './storage/local-storage.js';
+import { createS3Storage } from './storage/s3-storage.js';
+import { createCloudinaryStorage } from './storage/cloudinary-storage.js';
+
+// Where uploads are kept, chosen with STORAGE_DRIVER:
+//
+//   local       uploads/ on this server's disk (default)
+//   s3          An S3-compatible bucket: AWS S3, or MinIO and the like
+//               via S3_ENDPOINT
+//   cloudinary  Cloudinary, with the CLOUDINARY_* credentials
+//
+// Two kinds of objects are stored:
+// - Chat files, under the stored name of their File record. They are only
+//   read through the download route, and each record remembers which driver
+//   holds it, so files stay readable while `npm run migrate:storage` moves
+//   them to another driver.
+// - Media: message images, profile pictures and room avatars, under
+//   `media/<uuid>.<ext>`. Documents keep their URL. That is the driver's own
+//   public URL when it has one, and otherwise a `/api/media/` URL that the
+//   backend serves from the configured driver.
+//
+// Every driver is an object with:
+//
+//   name                                     The driver's name
+//   put(key, buffer, { contentType })        Stores a buffer; resolves to
+//                                            `{ url }`, its public URL or null
+//   putFile(key, filePath, { contentType })  Stores a file from disk, which
+//                                            it may move
+//   createReadStream(key, { start, end })    Resolves to a stream of the
+//                                            object, or of its bytes start
+//                                            to end (inclusive)
+//   remove(key)                              Deletes the object if it exists
+//   ownsUrl(url)                             Whether a public URL points into it
+//
+// Reading an object that doesn't exist rejects with the code `NOT_FOUND`.
+
+export const STORAGE_DRIVERS = ['local', 's3', 'cloudinary'];
+
+export const MEDIA_URL_PREFIX = '/api/media/';
+
+// Images accepted as media, and the extension they are stored with
+const MEDIA_TYPES = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+};
+
+const MEDIA_NAME_PATTERN = /^[\w-]+\.[a-z0-9]+$/i;
+
+const parseFlag = (name, value, errors, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  if (['true', '1', 'yes'].includes(value.toLowerCase())) return true;
+  if (['false', '0', 'no'].includes(value.toLowerCase())) return false;
+  errors.push(`${name} must be true or false, got "${value}"`);
+  return fallback;
+};
+
+const parseUrl = (name, value, errors) => {
+  try {
+    const url = new URL(value);
+    if (!['http:', 'https:'].includes(url.protocol)) throw new Error();
+    return value.replace(/\/+$/, '');
+  } catch {
+    errors.push(`${name} must be an http(s) URL, got "${value}"`);
+    return null;
+  }
+};
+
+/**
+ * Reads and validates the settings of a storage driver from `env`: the one
+ * named by STORAGE_DRIVER unless `driver` is given. Throws one error listing
+ * every problem.
+ * @returns {Object} `{ driver, s3 }`, with `s3` set for the s3 driver
+ */
+export const loadStorageConfig = (env = process.env, driver = env.STORAGE_DRIVER || 'local') => {
+  const errors = [];
+  const config = { driver };
+
+  if (!STORAGE_DRIVERS.includes(driver)) {
+    errors.push(`STORAGE_DRIVER must be one of ${STORAGE_DRIVERS.join(', ')}, got "${driver}"`);
+  }
+
+  const requireAll = (names) => names.filter((name) => !env[name]).forEach((name) => {
+    errors.push(`${name} is required by the ${driver} storage driver`);
+  });
+
+  if (driver === 's3') {
+    requireAll(['S3_BUCKET', 'S3_ACCESS_KEY_ID', 'S3_SECRET_ACCESS_KEY']);
+    const region = env.S3_REGION || 'us-east-1';
+    config.s3 = {
+      bucket: env.S3_BUCKET,
+      region,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      endpoint: env.S3_ENDPOINT
+        ? parseUrl('S3_ENDPOINT', env.S3_ENDPOINT, errors)
+        : `https://s3.${region}.amazonaws.com`,
+      // Stand-ins such as MinIO only understand bucket names in the path
+      forcePathStyle: parseFlag('S3_FORCE_PATH_STYLE', env.S3_FORCE_PATH_STYLE, errors, Boolean(env.S3_ENDPOINT)),
+      // Base URL of public reads, which must only be allowed under media/
+      publicUrl: env.S3_PUBLIC_URL ? parseUrl('S3_PUBLIC_URL', env.S3_PUBLIC_URL, errors) : null,
+    };
+  }
+
+  if (driver === 'cloudinary') {
+    requireAll(['CLOUDINARY_CLOUD_NAME', 'CLOUDINARY_API_KEY', 'CLOUDINARY_API_SECRET']);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid storage configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+  return config;
+};
+
+const storages = new Map();
+
+// The driver named `driver`, by default the configured one. Read on first use
+// so the settings come from the .env file; index.js asks for the configured
+// driver at startup so bad settings stop the server before anything listens.
+export const getStorage = (driver = process.env.STORAGE_DRIVER || 'local') => {
+  if (storages.has(driver)) return storages.get(driver);
+
+  const config = loadStorageConfig(process.env, driver);
+  const storage = {
+    local: () => createLocalStorage({ root: path.join(process.cwd(), 'uploads') }),
+    s3: () => createS3Storage(config.s3),
+    cloudinary: () => createCloudinaryStorage(),
+  }[driver]();
+
+  storages.set(driver, storage);
+  return storage;
+};
+
+// The key of a `/api/media/` URL's object, or null for other URLs
+export const mediaKeyFromUrl = (url) => {
+  if (typeof url !== 'string' || !url.startsWith(MEDIA_URL_PREFIX)) return null;
+  return mediaKey(url.slice(MEDIA_URL_PREFIX.length));
+};
+
+// The key of the media object named `name`, or null if it can't be one
+export const mediaKey = (name) => (MEDIA_NAME_PATTERN.test(name) ? `media/${name}` : null);
+
+export const mediaExtension = (contentType) => MEDIA_TYPES[contentType] || null;
+
+export const mediaContentType = (key) =>
+  Object.keys(MEDIA_TYPES).find((type) => MEDIA_TYPES[type] === path.posix.extname(key)) || null;
+
+/**
+ * Stores an image as media, in the configured driver and under a new key
+ * unless `storage` and `key` say otherwise.
+ * @returns {Promise<string>} The URL to keep in the document
+ */
+export const putMedia = async (data, contentType, { storage = getStorage(), key } = {}) => {
+  const objectKey = key || `media/${crypto.randomUUID()}${mediaExtension(contentType)}`;
+  const { url } = await storage.put(objectKey, data, { contentType });
+  return url || `${MEDIA_URL_PREFIX}${path.posix.basename(objectKey)}`;
+};
+
+/**
+ * Stores an image sent as a base64 data URL, e.g. a new profile picture.
+ * Errors with code `INVALID_MEDIA` when it isn't a PNG, JPEG, GIF or WebP
+ * data URL.
+ * @returns {Promise<string>} The URL to keep in the document
+ */
+export const saveMedia = async (dataUrl) => {
+  const match = typeof dataUrl === 'string' && /^data:([\w/+.-]+);base64,(.+)$/s.exec(dataUrl);
+  if (!match || !mediaExtension(match[1])) {
+    throw protocolError('INVALID_MEDIA', 'Images must be PNG, JPEG, GIF or WebP data URLs');
+  }
+  return putMedia(Buffer.from(match[2], 'base64'), match[1]);
+};
@@ -0,0 +1,80 @@
+import crypto from 'crypto';
+import path from 'path';
+import { Readable } from 'stream';
+import cloudinary from '../cloudinary.js';
+import { protocolError } from '../tcp-protocol.js';
+
+// Storage driver for Cloudinary. Media (keys under `media/`) are public
+// image uploads, as before storage became configurable. Other objects are
+// raw uploads of type `authenticated`, so chat files can only be fetched
+// through signed URLs. Their public ids are derived from a hash of the key,
+// since stored names may contain characters Cloudinary doesn't allow.
+
+const isMediaKey = (key) => key.startsWith('media/');
+
+const assetOf = (key) => {
+  if (isMediaKey(key)) {
+    const extension = path.posix.extname(key);
+    return {
+      public_id: key.slice(0, -extension.length || undefined),
+      format: extension.slice(1),
+      resource_type: 'image',
+      type: 'upload',
+    };
+  }
+
+  const extension = /^\.[a-z0-9]{1,10}$/i.test(path.posix.extname(key)) ? path.posix.extname(key) : '';
+  return {
+    public_id: `files/${crypto.createHash('sha256').update(key).digest('hex')}${extension}`,
+    resource_type: 'raw',
+    type: 'authenticated',
+  };
+};
+
+const uploadBuffer = (data, options) => new Promise((resolve, reject) => {
+  const stream = cloudinary.uploader.upload_stream(options, (error, result) => (error ? reject(error) : resolve(result)));
+  stream.end(data);
+});
+
+export const createCloudinaryStorage = () => {
+  const { cloud_name: cloudName } = cloudinary.config();
+
+  const upload = async (key, upload) => {
+    const { format, ...asset } = assetOf(key);
+    const result = await upload({ ...asset, ...(format ? { format } : {}), overwrite: true });
+    return { url: isMediaKey(key) ? result.secure_url : null };
+  };
+
+  return {
+    name: 'cloudinary',
+
+    put(key, data) {
+      return upload(key, (options) => uploadBuffer(data, options));
+    },
+
+    async putFile(key, filePath) {
+      return upload(key, (options) => cloudinary.uploader.upload(filePath, options));
+    },
+
+    async createReadStream(key, { start, end } = {}) {
+      const { public_id: publicId, ...asset } = assetOf(key);
+      const url = cloudinary.url(publicId, { ...asset, secure: true, sign_url: asset.type === 'authenticated' });
+      const ranged = start !== undefined;
+
+      const response = await fetch(url, ranged ? { headers: { Range: `bytes=${start}-${end ?? ''}` } } : {});
+      if (response.status === 404) throw protocolError('NOT_FOUND', `No stored object "${key}"`);
+      if (response.status !== (ranged ? 206 : 200)) {
+        throw new Error(`Cloudinary download of "${key}" failed with ${response.status}`);
+      }
+      return Readable.fromWeb(response.body);
+    },
+
+    async remove(key) {
+      const { public_id: publicId, resource_type: resourceType, type } = assetOf(key);
+      await cloudinary.uploader.destroy(publicId, { resource_type: resourceType, type, invalidate: true });
+    },
+
+    ownsUrl: (url) =>
+      typeof url === 'string' && url.startsWith(`https://res.cloudinary.com/${cloudName}/`),
+  };
+};
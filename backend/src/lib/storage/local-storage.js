@@ -0,0 +1,61 @@
+import fs from 'fs';
+import path from 'path';
+import { protocolError } from '../tcp-protocol.js';
+
+// Storage driver keeping objects as files under `root`. It has no public URLs:
+// media is served by the backend.
+export const createLocalStorage = ({ root }) => {
+  // Keys never leave the root, whatever they contain
+  const resolve = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw protocolError('BAD_KEY', `Invalid storage key "${key}"`);
+    }
+    return filePath;
+  };
+
+  const prepare = async (key) => {
+    const filePath = resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, data) {
+      await fs.promises.writeFile(await prepare(key), data);
+      return { url: null };
+    },
+
+    async putFile(key, sourcePath) {
+      const filePath = await prepare(key);
+      try {
+        await fs.promises.rename(sourcePath, filePath);
+      } catch (error) {
+        // Renames can't cross file systems
+        if (error.code !== 'EXDEV') throw error;
+        await fs.promises.copyFile(sourcePath, filePath);
+        await fs.promises.rm(sourcePath, { force: true });
+      }
+      return { url: null };
+    },
+
+    async createReadStream(key, { start, end } = {}) {
+      let handle;
+      try {
+        handle = await fs.promises.open(resolve(key), 'r');
+      } catch (error) {
+        if (error.code === 'ENOENT') throw protocolError('NOT_FOUND', `No stored object "${key}"`);
+        throw error;
+      }
+      return handle.createReadStream({ start, end });
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+
+    ownsUrl: () => false,
+  };
+};
@@ -0,0 +1,158 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import { protocolError } from '../tcp-protocol.js';
+
+// Storage driver for S3-compatible object storage. Requests are signed with
+// AWS Signature Version 4; payloads are sent unsigned, which S3 and MinIO
+// accept. Media keep their `media/` keys, while chat files go under `files/`.
+// Only `media/` may be made public: with `publicUrl` set (a CDN or a public
+// view of that prefix), media links point there instead of at the backend.
+// Chat files are only ever read by the backend, which checks who asks.
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding, as SigV4 wants it; slashes between key segments stay
+const encodeKey = (key) =>
+  key.split('/').map((segment) =>
+    encodeURIComponent(segment).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+  ).join('/');
+
+const isMediaKey = (key) => key.startsWith('media/');
+
+// Where an object is kept in the bucket
+const objectKey = (key) => (isMediaKey(key) ? key : `files/${key}`);
+
+/**
+ * Signs a request with SigV4: adds `x-amz-date` and `Authorization` to
+ * `headers`, which must include `host` and `x-amz-content-sha256`. Every
+ * header given is signed.
+ */
+export const signRequest = ({ method, path, headers, region, accessKeyId, secretAccessKey, now = new Date() }) => {
+  const amzDate = now.toISOString().replace(/[-:]|\.\d{3}/g, '');
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${region}/s3/aws4_request`;
+
+  const signed = { ...headers, 'x-amz-date': amzDate };
+  const names = Object.keys(signed).map((name) => name.toLowerCase()).sort();
+  const values = Object.fromEntries(Object.entries(signed).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+
+  const canonicalRequest = [
+    method,
+    path,
+    '',
+    ...names.map((name) => `${name}:${values[name]}`),
+    '',
+    names.join(';'),
+    values['x-amz-content-sha256'],
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, date), region));
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signed,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`,
+  };
+};
+
+const readBody = async (response) => {
+  const chunks = [];
+  for await (const chunk of response) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+export const createS3Storage = ({ bucket, region, accessKeyId, secretAccessKey, endpoint, forcePathStyle, publicUrl }) => {
+  const base = new URL(endpoint);
+  const host = forcePathStyle ? base.host : `${bucket}.${base.host}`;
+  const transport = base.protocol === 'https:' ? https : http;
+
+  // Sends a signed request for `key`, streaming `body` (a buffer or a
+  // readable stream) if given. Resolves to the response.
+  const request = (method, key, { headers = {}, body, contentLength } = {}) => new Promise((resolve, reject) => {
+    const path = `${forcePathStyle ? `/${encodeKey(bucket)}` : ''}/${encodeKey(objectKey(key))}`;
+    const signedHeaders = signRequest({
+      method,
+      path,
+      headers: {
+        ...headers,
+        host,
+        'x-amz-content-sha256': body ? 'UNSIGNED-PAYLOAD' : sha256Hex(''),
+        ...(body ? { 'content-length': contentLength } : {}),
+      },
+      region,
+      accessKeyId,
+      secretAccessKey,
+    });
+
+    const req = transport.request({
+      protocol: base.protocol,
+      hostname: forcePathStyle ? base.hostname : `${bucket}.${base.hostname}`,
+      port: base.port || undefined,
+      method,
+      path,
+      headers: signedHeaders,
+    }, resolve);
+    req.on('error', reject);
+
+    if (!body) return req.end();
+    if (Buffer.isBuffer(body)) return req.end(body);
+    body.on('error', (error) => req.destroy(error));
+    body.pipe(req);
+  });
+
+  // Resolves to the response if its status is one of `expected`
+  const send = async (method, key, options, expected = [200]) => {
+    const response = await request(method, key, options);
+    if (expected.includes(response.statusCode)) return response;
+
+    const detail = await readBody(response);
+    if (response.statusCode === 404) throw protocolError('NOT_FOUND', `No stored object "${key}"`);
+    throw new Error(`S3 ${method} of "${key}" failed with ${response.statusCode}: ${detail.slice(0, 200)}`);
+  };
+
+  const urlOf = (key) => (publicUrl && isMediaKey(key) ? `${publicUrl}/${encodeKey(key)}` : null);
+
+  return {
+    name: 's3',
+
+    async put(key, data, { contentType } = {}) {
+      const response = await send('PUT', key, {
+        headers: contentType ? { 'content-type': contentType } : {},
+        body: data,
+        contentLength: data.length,
+      });
+      response.resume();
+      return { url: urlOf(key) };
+    },
+
+    async putFile(key, filePath, { contentType } = {}) {
+      const { size } = await fs.promises.stat(filePath);
+      const response = await send('PUT', key, {
+        headers: contentType ? { 'content-type': contentType } : {},
+        body: fs.createReadStream(filePath),
+        contentLength: size,
+      });
+      response.resume();
+      await fs.promises.rm(filePath, { force: true });
+      return { url: urlOf(key) };
+    },
+
+    async createReadStream(key, { start, end } = {}) {
+      const ranged = start !== undefined;
+      return send('GET', key, {
+        headers: ranged ? { range: `bytes=${start}-${end ?? ''}` } : {},
+      }, ranged ? [206] : [200]);
+    },
+
+    async remove(key) {
+      const response = await send('DELETE', key, {}, [200, 204, 404]);
+      response.resume();
+    },
+
+    ownsUrl: (url) => Boolean(publicUrl) && typeof url === 'string' && url.startsWith(`${publicUrl}/media/`),
+  };
+};
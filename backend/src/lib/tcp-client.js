@@ -1,112 +1,176 @@
-import net from 'net';
+import tls from 'tls';
 import fs from 'fs';
-import path from 'path';
-import threadPool from './thread-pool.js';
-import { getReceiverSocketId, io } from './socket.js';
+import crypto from 'crypto';
+import {
+  FRAME_DATA,
+  FRAME_ERROR,
+  FRAME_HEADER,
+  FRAME_READY,
+  FRAME_STORED,
+  FRAME_TRAILER,
+  FrameDecoder,
+  MAX_DATA_FRAME_BYTES,
+  crc32,
+  encodeFrame,
+  protocolError,
+} from './tcp-protocol.js';
+import { loadTlsCredentials, signHeader } from './channel-security.js';
+import { getNetworkConfig } from './network-config.js';
+
+// عدد مرات استئناف النقل بعد انقطاع الاتصال، والمهلة الأولى قبل الاستئناف (تتضاعف كل مرة)
+const MAX_RESUME_ATTEMPTS = 5;
+const RESUME_DELAY_MS = 1000;
 
 /**
  * فئة لإدارة اتصالات TCP لنقل الملفات
- * تستخدم هذه الفئة لإرسال واستقبال الملفات عبر بروتوكول TCP
+ * تستخدم هذه الفئة لإرسال الملفات إلى خادم TCP عبر بروتوكول TCP
  * الذي يوفر نقل موثوق للبيانات
  */
 class TcpClient {
-  constructor(port = 41235) {
-    this.port = port;
-    this.serverAddress = '127.0.0.1';
-    this.serverPort = port;
-    this.uploadsDir = path.join(process.cwd(), 'uploads');
-    
-    // إنشاء مجلد التحميلات إذا لم يكن موجودًا
-    if (!fs.existsSync(this.uploadsDir)) {
-      fs.mkdirSync(this.uploadsDir, { recursive: true });
+  /**
+   * عنوان خادم TCP ومنفذه، من إعدادات الشبكة (انظر network-config.js)
+   */
+  get serverAddress() {
+    return getNetworkConfig().connectHost;
+  }
+
+  get serverPort() {
+    return getNetworkConfig().tcp.port;
+  }
+
+  /**
+   * إرسال ملف عبر TCP باستخدام البروتوكول المؤطر (انظر tcp-protocol.js)
+   * إذا انقطع الاتصال أثناء النقل، يُعاد الاتصال بنفس معرّف النقل ويُستأنف
+   * الإرسال من آخر بايت استلمه الخادم. يُحسب SHA-256 للملف أثناء قراءته
+   * ويتحقق منه الخادم، فإذا وصلت البيانات تالفة يُعاد إرسال الملف من بدايته
+   * @param {string} filePath - مسار الملف المراد إرساله
+   * @param {Object} fileInfo - معلومات الملف (المرسل، المستقبل، اسم الملف، و`transferId` اختياريًا)
+   * @returns {Promise<Object>} وعد يتم حله بـ `{ fileId, fileName, url, size, sha256 }` بعد أن يؤكد
+   * الخادم حفظ الملف، ويُرفض بخطأ يحمل `code` إذا رفض الخادم الملف
+   */
+  async sendFile(filePath, fileInfo) {
+    const { size } = await fs.promises.stat(filePath);
+    const header = { ...fileInfo, transferId: fileInfo.transferId || crypto.randomUUID(), size };
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.transmit(filePath, header);
+      } catch (err) {
+        // رفض الخادم نهائي، أما انقطاع الاتصال فيستحق إعادة المحاولة
+        if (err.fatal || attempt >= MAX_RESUME_ATTEMPTS) throw err;
+        const delay = RESUME_DELAY_MS * 2 ** attempt;
+        console.log(`انقطع نقل الملف ${header.transferId}، إعادة المحاولة بعد ${delay} مللي ثانية`);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
     }
   }
 
   /**
-   * إرسال ملف عبر TCP
+   * محاولة واحدة لنقل الملف: يُرسل الترويسة، ثم يُقرأ الملف من القرص على
+   * دفعات ويُرسل ابتداءً من الموضع الذي يحدده الخادم، مع احترام الضغط العكسي
+   * (backpressure) للاتصال، فلا يُحمَّل الملف كاملًا في الذاكرة
    * @param {string} filePath - مسار الملف المراد إرساله
-   * @param {Object} fileInfo - معلومات الملف (المرسل، المستقبل، اسم الملف)
-   * @returns {Promise} وعد يتم حله عند إرسال الملف
+   * @param {Object} header - ترويسة النقل
+   * @returns {Promise<Object>} وعد يتم حله برد الخادم بعد حفظ الملف
    */
-  sendFile(filePath, fileInfo) {
+  transmit(filePath, header) {
     return new Promise((resolve, reject) => {
-      // قراءة الملف باستخدام مجموعة العمال لتحسين الأداء
-      threadPool.processFile(filePath, (fileData) => {
-        return fileData;
-      }).then(result => {
-        if (!result.success) {
-          return reject(new Error(`فشل في قراءة الملف: ${result.error}`));
-        }
-        
-        const fileData = result.result;
-        const client = new net.Socket();
-        
-        client.connect(this.serverPort, this.serverAddress, () => {
-          console.log('متصل بخادم TCP');
-          
-          // إرسال معلومات الملف أولاً
-          const metaData = JSON.stringify(fileInfo) + '\n';
-          client.write(metaData);
-          
-          // ثم إرسال محتوى الملف
-          client.write(fileData);
-          client.end();
+      const decoder = new FrameDecoder();
+      let fileStream = null;
+      let settled = false;
+
+      const settle = (error, storedFile) => {
+        if (settled) return;
+        settled = true;
+        fileStream?.destroy();
+        if (error) reject(error);
+        else resolve(storedFile);
+      };
+
+      // يُقرأ الملف كاملًا لحساب المجموع الاختباري، لكن لا يُرسل إلا ما بعد `offset`
+      let sha256 = null;
+
+      const sendData = (offset) => {
+        let position = 0;
+        let checksum = 0;
+        const hash = crypto.createHash('sha256');
+        fileStream = fs.createReadStream(filePath, { highWaterMark: MAX_DATA_FRAME_BYTES });
+
+        fileStream.on('data', (chunk) => {
+          checksum = crc32(chunk, checksum);
+          hash.update(chunk);
+          const start = Math.max(offset - position, 0);
+          position += chunk.length;
+          if (start >= chunk.length) return;
+
+          // إيقاف القراءة مؤقتًا حين يمتلئ مخزن الاتصال
+          if (!client.write(encodeFrame(FRAME_DATA, chunk.subarray(start)))) fileStream.pause();
         });
-        
-        client.on('close', () => {
-          console.log('تم إغلاق اتصال TCP');
-          resolve();
+        client.on('drain', () => fileStream.resume());
+
+        // وأخيرًا الحجم والمجموع الاختباري وبصمة SHA-256 للتحقق من سلامة البيانات
+        fileStream.on('end', () => {
+          sha256 = hash.digest('hex');
+          client.write(encodeFrame(FRAME_TRAILER, { size: position, crc32: checksum, sha256 }));
         });
-        
-        client.on('error', (err) => {
-          console.error('خطأ في اتصال TCP:', err);
-          reject(err);
+
+        fileStream.on('error', (err) => {
+          console.error('خطأ في قراءة الملف:', err);
+          client.end(encodeFrame(FRAME_ERROR, { code: 'READ_FAILED', message: err.message }));
+          settle(Object.assign(new Error(`فشل في قراءة الملف: ${err.message}`), { fatal: true }));
         });
-      }).catch(err => {
-        reject(err);
+      };
+
+      // الاتصال مشفر بـ TLS، ولا يُوثق إلا بشهادة الخادم المضبوطة (انظر channel-security.js)
+      const client = tls.connect({
+        host: this.serverAddress,
+        port: this.serverPort,
+        ca: loadTlsCredentials().ca
+      }, () => {
+        console.log('متصل بخادم TCP');
+
+        // إرسال معلومات الملف موقّعة بالسر المشترك أولاً، ثم انتظار الموضع الذي يبدأ منه الإرسال
+        client.write(encodeFrame(FRAME_HEADER, signHeader(header)));
       });
-    });
-  }
 
-  /**
-   * معالجة ملف مستلم
-   * @param {Buffer} fileData - بيانات الملف
-   * @param {Object} fileInfo - معلومات الملف
-   * @returns {Promise} وعد يتم حله عند معالجة الملف
-   */
-  processReceivedFile(fileData, fileInfo) {
-    return new Promise((resolve, reject) => {
-      const fileName = `${Date.now()}-${fileInfo.fileName}`;
-      const filePath = path.join(this.uploadsDir, fileName);
-      
-      fs.writeFile(filePath, fileData, (err) => {
-        if (err) {
-          console.error('خطأ في حفظ الملف المستلم:', err);
-          return reject(err);
+      // ردود الخادم: الاستعداد للاستلام، ثم تأكيد الحفظ أو رسالة خطأ (قد
+      // تصل أثناء الإرسال، مثلًا عند تجاوز الحد الأقصى لحجم الملف)
+      client.pipe(decoder);
+      decoder.on('data', ({ type, payload }) => {
+        if (type === FRAME_READY) {
+          if (payload.offset > 0) console.log(`استئناف نقل الملف ${payload.transferId} من البايت ${payload.offset}`);
+          sendData(payload.offset);
+          return;
         }
-        
-        console.log(`تم حفظ الملف: ${filePath}`);
-        
-        // إشعار المستلم بالملف
-        const fileUrl = `/uploads/${fileName}`;
-        
-        if (fileInfo.chatRoomId) {
-          // إذا كان الملف مرسل إلى غرفة دردشة
-          // هنا يمكن إضافة منطق لإشعار جميع المشاركين في الغرفة
-        } else {
-          // إشعار المستلم المباشر
-          const receiverSocketId = getReceiverSocketId(fileInfo.receiverId);
-          if (receiverSocketId) {
-            io.to(receiverSocketId).emit('fileReceived', {
-              senderId: fileInfo.senderId,
-              fileName: fileInfo.fileName,
-              fileUrl,
-              timestamp: new Date()
-            });
+
+        if (type === FRAME_STORED) {
+          // تأكيد أن الخادم حفظ الملف نفسه الذي أُرسل
+          if (payload.sha256 !== sha256) {
+            const error = protocolError('CHECKSUM_MISMATCH', 'بصمة الملف المحفوظ لا تطابق الملف المرسل');
+            settle(Object.assign(error, { fatal: true }));
+          } else {
+            settle(null, payload);
           }
+        } else if (type === FRAME_ERROR) {
+          // البيانات التالفة في الطريق تستحق إعادة الإرسال، أما بقية أسباب الرفض فنهائية
+          const error = protocolError(payload.code, `رفض الخادم الملف: ${payload.message}`);
+          settle(Object.assign(error, { fatal: payload.code !== 'CHECKSUM_MISMATCH' }));
         }
-        
-        resolve(fileUrl);
+        client.end();
+      });
+      decoder.on('error', (err) => {
+        settle(Object.assign(err, { fatal: true }));
+        client.destroy();
+      });
+
+      client.on('close', () => {
+        console.log('تم إغلاق اتصال TCP');
+        settle(new Error('أُغلق اتصال TCP قبل أن يؤكد الخادم حفظ الملف'));
+      });
+
+      client.on('error', (err) => {
+        console.error('خطأ في اتصال TCP:', err);
+        settle(err);
       });
     });
   }
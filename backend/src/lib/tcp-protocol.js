@@ -0,0 +1,130 @@
+import { Transform } from 'stream';
+
+// Framed protocol spoken on the TCP file channel, inside a TLS connection.
+//
+// Every frame is a 6-byte prefix followed by its payload:
+//   version (uint8) | type (uint8) | payload length (uint32, big-endian)
+//
+// A transfer starts with a HEADER frame (JSON file info, including `size` and
+// optionally the `transferId` of an interrupted transfer to resume, signed as
+// described in channel-security.js). The
+// server answers with a READY frame (JSON `{ transferId, offset }`), and the
+// sender continues with DATA frames (raw file bytes) from `offset` on, then a
+// TRAILER frame (JSON `{ size, crc32, sha256 }` of the whole file, `sha256`
+// in hex). The server answers with a STORED frame (JSON `{ fileId,
+// fileName, url, size, sha256 }`, `fileId` naming its File record) once the
+// file is stored, or an ERROR frame (JSON `{ code, message }`). A
+// `CHECKSUM_MISMATCH` error means the data was corrupted on the way and the
+// transfer was discarded, so the sender should send the whole file again.
+// Either side may send ERROR to abort the transfer.
+
+export const PROTOCOL_VERSION = 1;
+
+export const FRAME_HEADER = 1;
+export const FRAME_DATA = 2;
+export const FRAME_TRAILER = 3;
+export const FRAME_ERROR = 4;
+export const FRAME_STORED = 5;
+export const FRAME_READY = 6;
+
+const FRAME_TYPES = new Set([FRAME_HEADER, FRAME_DATA, FRAME_TRAILER, FRAME_ERROR, FRAME_STORED, FRAME_READY]);
+const PREFIX_BYTES = 6;
+
+// Senders split files into DATA frames of at most this size
+export const MAX_DATA_FRAME_BYTES = 64 * 1024;
+// The other frames carry small JSON documents
+const MAX_CONTROL_FRAME_BYTES = 16 * 1024;
+
+// Largest file accepted over the TCP channel and by the upload routes, in
+// bytes. Read when used so it picks up MAX_FILE_SIZE_MB from the .env file.
+export const maxFileSize = () => (Number(process.env.MAX_FILE_SIZE_MB) || 100) * 1024 * 1024;
+
+export const protocolError = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * Encodes a frame. DATA frames take a Buffer, the others a JSON-serializable
+ * object.
+ */
+export const encodeFrame = (type, payload) => {
+  const body = type === FRAME_DATA ? payload : Buffer.from(JSON.stringify(payload));
+  const prefix = Buffer.alloc(PREFIX_BYTES);
+  prefix.writeUInt8(PROTOCOL_VERSION, 0);
+  prefix.writeUInt8(type, 1);
+  prefix.writeUInt32BE(body.length, 2);
+  return Buffer.concat([prefix, body]);
+};
+
+/**
+ * Splits a byte stream into frames, however the bytes were chunked on the
+ * wire. Emits `{ type, payload }` objects where `payload` is a Buffer for DATA
+ * frames and the parsed JSON otherwise. Errors carry a `code` of
+ * `UNSUPPORTED_VERSION`, `UNKNOWN_FRAME`, `FRAME_TOO_LARGE` or `BAD_FRAME`.
+ */
+export class FrameDecoder extends Transform {
+  constructor() {
+    super({ readableObjectMode: true });
+    this.buffered = Buffer.alloc(0);
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.buffered = this.buffered.length ? Buffer.concat([this.buffered, chunk]) : chunk;
+
+    while (this.buffered.length >= PREFIX_BYTES) {
+      const version = this.buffered.readUInt8(0);
+      const type = this.buffered.readUInt8(1);
+      const length = this.buffered.readUInt32BE(2);
+
+      if (version !== PROTOCOL_VERSION) {
+        return callback(protocolError('UNSUPPORTED_VERSION', `Unsupported protocol version ${version}`));
+      }
+      if (!FRAME_TYPES.has(type)) {
+        return callback(protocolError('UNKNOWN_FRAME', `Unknown frame type ${type}`));
+      }
+      const maxLength = type === FRAME_DATA ? MAX_DATA_FRAME_BYTES : MAX_CONTROL_FRAME_BYTES;
+      if (length > maxLength) {
+        return callback(protocolError('FRAME_TOO_LARGE', `Frame of ${length} bytes exceeds ${maxLength}`));
+      }
+      if (this.buffered.length < PREFIX_BYTES + length) break;
+
+      const body = this.buffered.subarray(PREFIX_BYTES, PREFIX_BYTES + length);
+      this.buffered = this.buffered.subarray(PREFIX_BYTES + length);
+
+      if (type === FRAME_DATA) {
+        // Copied so the frame doesn't pin the rest of the chunk in memory
+        this.push({ type, payload: Buffer.from(body) });
+        continue;
+      }
+
+      try {
+        this.push({ type, payload: JSON.parse(body.toString()) });
+      } catch {
+        return callback(protocolError('BAD_FRAME', 'Malformed frame payload'));
+      }
+    }
+
+    callback();
+  }
+
+  _flush(callback) {
+    if (this.buffered.length > 0) {
+      return callback(protocolError('BAD_FRAME', 'Connection closed in the middle of a frame'));
+    }
+    callback();
+  }
+}
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+/**
+ * CRC-32 of `buffer`. Pass the previous result as `crc` to checksum data
+ * that arrives in pieces.
+ */
+export const crc32 = (buffer, crc = 0) => {
+  let c = ~crc;
+  for (let i = 0; i < buffer.length; i++) c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  return ~c >>> 0;
+};
@@ -1,6 +1,7 @@
 import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
 import path from 'path';
 import os from 'os';
+import threadPool from './thread-pool.js';
 
 // Maximum number of worker threads to use
 const MAX_WORKERS = os.cpus().length;
@@ -0,0 +1,179 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { crc32, protocolError } from "./tcp-protocol.js";
+
+// Resumable file transfers. A transfer's bytes are written to a partial file
+// in temp/transfers, next to a JSON record of its metadata and of the byte
+// ranges received so far, so an interrupted transfer can pick up where it
+// stopped, even after a server restart. Completed transfers are handed to
+// storage by storeTransfer in files.js.
+
+const transfersDir = path.join(process.cwd(), "temp", "transfers");
+if (!fs.existsSync(transfersDir)) fs.mkdirSync(transfersDir, { recursive: true });
+
+// Transfer ids are chosen by the sender, so they can resume with the same id
+const TRANSFER_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+// Transfers that see no progress for this long are discarded
+const TRANSFER_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Loaded transfer records, by transfer id
+const transfers = new Map();
+// Pending writes of each record, so they land in order
+const recordWrites = new Map();
+
+const recordPath = (transferId) => path.join(transfersDir, `${transferId}.json`);
+export const partialPath = (transfer) => path.join(transfersDir, `${transfer.transferId}.part`);
+
+export const isValidTransferId = (transferId) =>
+  typeof transferId === "string" && TRANSFER_ID_PATTERN.test(transferId);
+
+/**
+ * Persists a transfer's record. Ranges recorded here are never ahead of the
+ * bytes written to the partial file, so a crash only costs re-sending data.
+ */
+export const saveTransfer = (transfer) => {
+  transfer.updatedAt = Date.now();
+  const json = JSON.stringify(transfer);
+  const write = (recordWrites.get(transfer.transferId) || Promise.resolve())
+    .then(() => fs.promises.writeFile(recordPath(transfer.transferId), json))
+    .catch((error) => console.log("Error saving transfer record:", error.message));
+  recordWrites.set(transfer.transferId, write);
+  return write;
+};
+
+export const getTransfer = async (transferId) => {
+  if (!isValidTransferId(transferId)) return null;
+  if (transfers.has(transferId)) return transfers.get(transferId);
+
+  try {
+    const transfer = JSON.parse(await fs.promises.readFile(recordPath(transferId), "utf8"));
+    transfers.set(transferId, transfer);
+    return transfer;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Returns the transfer with `transferId`, or starts a new one. Resuming a
+ * transfer requires the same sender, file name and size. Errors carry a
+ * `code` of `BAD_TRANSFER_ID` or `TRANSFER_MISMATCH`.
+ */
+export const openTransfer = async ({ transferId, senderId, receiverId, chatRoomId, fileName, fileType, size }) => {
+  if (transferId != null && !isValidTransferId(transferId)) {
+    throw protocolError("BAD_TRANSFER_ID", "Invalid transfer id");
+  }
+
+  const existing = transferId && (await getTransfer(transferId));
+  if (existing) {
+    if (existing.senderId !== String(senderId) || existing.fileName !== fileName || existing.size !== size) {
+      throw protocolError("TRANSFER_MISMATCH", "The transfer belongs to a different file");
+    }
+    return existing;
+  }
+
+  const transfer = {
+    transferId: transferId || crypto.randomUUID(),
+    senderId: String(senderId),
+    receiverId: receiverId ? String(receiverId) : null,
+    chatRoomId: chatRoomId ? String(chatRoomId) : null,
+    fileName,
+    fileType: fileType || null,
+    size,
+    // Sorted, non-overlapping [start, end) byte ranges received so far
+    ranges: [],
+    createdAt: Date.now(),
+  };
+  await fs.promises.writeFile(partialPath(transfer), "");
+  transfers.set(transfer.transferId, transfer);
+  await saveTransfer(transfer);
+  return transfer;
+};
+
+// Merges [start, end) into the transfer's received ranges
+export const addRange = (transfer, start, end) => {
+  if (end <= start) return;
+
+  const ranges = [...transfer.ranges, [start, end]].sort((a, b) => a[0] - b[0]);
+  transfer.ranges = ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([...range]);
+    return merged;
+  }, []);
+};
+
+// Where the sender should continue: the end of the data received from the
+// start of the file without gaps
+export const resumeOffset = (transfer) => (transfer.ranges[0]?.[0] === 0 ? transfer.ranges[0][1] : 0);
+
+export const isTransferComplete = (transfer) => resumeOffset(transfer) === transfer.size;
+
+/**
+ * Writes a chunk of the file at `offset`. Errors with code `BAD_RANGE` when
+ * the chunk doesn't fit within the file.
+ */
+export const writeChunk = async (transfer, offset, data) => {
+  if (!Number.isInteger(offset) || offset < 0 || offset + data.length > transfer.size) {
+    throw protocolError("BAD_RANGE", "The chunk lies outside the file");
+  }
+
+  const handle = await fs.promises.open(partialPath(transfer), "r+");
+  try {
+    await handle.write(data, 0, data.length, offset);
+  } finally {
+    await handle.close();
+  }
+
+  addRange(transfer, offset, offset + data.length);
+  await saveTransfer(transfer);
+};
+
+/**
+ * CRC-32 and SHA-256 of the first `end` bytes received, to continue hashing
+ * a resumed transfer.
+ * @returns {Promise<Object>} `{ checksum, hash }`, where `hash` is a
+ * crypto Hash that more data can be fed to
+ */
+export const digestReceived = async (transfer, end) => {
+  let checksum = 0;
+  const hash = crypto.createHash("sha256");
+  if (end === 0) return { checksum, hash };
+
+  for await (const chunk of fs.createReadStream(partialPath(transfer), { start: 0, end: end - 1 })) {
+    checksum = crc32(chunk, checksum);
+    hash.update(chunk);
+  }
+  return { checksum, hash };
+};
+
+// SHA-256 of a fully received file, as lowercase hex
+export const hashTransfer = async (transfer) => (await digestReceived(transfer, transfer.size)).hash.digest("hex");
+
+export const isSha256 = (value) => typeof value === "string" && /^[0-9a-f]{64}$/i.test(value);
+
+export const discardTransfer = async (transfer) => {
+  transfers.delete(transfer.transferId);
+  await recordWrites.get(transfer.transferId);
+  recordWrites.delete(transfer.transferId);
+  await Promise.all([
+    fs.promises.rm(partialPath(transfer), { force: true }),
+    fs.promises.rm(recordPath(transfer.transferId), { force: true }),
+  ]);
+};
+
+// Clears out transfers that were abandoned
+const sweepTransfers = async () => {
+  const cutoff = Date.now() - TRANSFER_TTL_MS;
+  const recordFiles = (await fs.promises.readdir(transfersDir)).filter((file) => file.endsWith(".json"));
+
+  for (const file of recordFiles) {
+    const transfer = await getTransfer(path.basename(file, ".json"));
+    if (transfer && transfer.updatedAt < cutoff) await discardTransfer(transfer);
+  }
+};
+
+setInterval(() => {
+  sweepTransfers().catch((error) => console.log("Error sweeping transfers:", error.message));
+}, 60 * 60 * 1000).unref();
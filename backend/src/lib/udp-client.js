@@ -1,5 +1,14 @@
 import dgram from 'dgram';
+import crypto from 'crypto';
 import { getReceiverSocketId, io } from './socket.js';
+import {
+  PACKET_ACK,
+  PACKET_DATA,
+  RETRANSMIT_INITIAL_MS,
+  RETRANSMIT_MAX_ATTEMPTS,
+} from './reliable-udp.js';
+import { openDatagram, sealDatagram } from './channel-security.js';
+import { getNetworkConfig } from './network-config.js';
 
 /**
  * فئة لإدارة اتصالات UDP للرسائل السريعة
@@ -7,14 +16,29 @@ import { getReceiverSocketId, io } from './socket.js';
  * الذي يوفر سرعة أعلى ولكن بدون ضمان وصول الرسائل
  */
 class UdpClient {
-  constructor(port = 41234) {
-    this.port = port;
+  constructor() {
     this.client = dgram.createSocket('udp4');
-    this.serverAddress = '127.0.0.1';
-    this.serverPort = port;
+    // معرّف جلسة هذا العميل، حتى لا يخلط المستقبل أرقام التسلسل بعد إعادة التشغيل،
+    // ومنه يُشتق مفتاح توقيع رسائل الجلسة
+    this.session = crypto.randomUUID();
+    // آخر رقم تسلسل مستخدم لكل مرسل
+    this.sequences = new Map();
+    // الرسائل الموثوقة التي تنتظر إشعار الاستلام (ACK)
+    this.pending = new Map();
     this.setupClient();
   }
 
+  /**
+   * عنوان خادم UDP ومنفذه، من إعدادات الشبكة (انظر network-config.js)
+   */
+  get serverAddress() {
+    return getNetworkConfig().connectHost;
+  }
+
+  get serverPort() {
+    return getNetworkConfig().udp.port;
+  }
+
   /**
    * إعداد عميل UDP
    */
@@ -25,8 +49,22 @@ class UdpClient {
     });
 
     this.client.on('message', (msg, rinfo) => {
+      // رفض الرسائل غير الموقّعة بالسر المشترك
+      let data;
+      try {
+        data = openDatagram(msg);
+      } catch (error) {
+        console.error(`رُفضت رسالة UDP من ${rinfo.address}:${rinfo.port}: ${error.message}`);
+        return;
+      }
+
       try {
-        const data = JSON.parse(msg.toString());
+
+        if (data.type === PACKET_ACK) {
+          this.handleAck(data);
+          return;
+        }
+
         console.log(`رسالة UDP من ${rinfo.address}:${rinfo.port}: ${data.text}`);
         
         // إعادة توجيه الرسالة إلى العميل المناسب عبر socket.io
@@ -52,24 +90,89 @@ class UdpClient {
   }
 
   /**
-   * إرسال رسالة عبر UDP
+   * إرسال رسالة عبر UDP، موقّعة بمفتاح الجلسة (انظر channel-security.js)
    * @param {Object} messageData - بيانات الرسالة المراد إرسالها
-   * @returns {Promise} وعد يتم حله عند إرسال الرسالة
+   * @param {Object} options - `reliable` لانتظار إشعار الاستلام وإعادة الإرسال عند الفقد
+   * @returns {Promise<Object>} وعد يتم حله بحالة التسليم: `{ status: 'sent' }` عند الإرسال
+   * العادي، أو `{ seq, status: 'delivered' | 'failed', attempts }` عند الإرسال الموثوق
    */
-  sendMessage(messageData) {
+  sendMessage(messageData, { reliable = false } = {}) {
+    if (reliable) return this.sendReliable(messageData);
+
     return new Promise((resolve, reject) => {
-      const message = Buffer.from(JSON.stringify(messageData));
+      const message = sealDatagram(messageData, this.session);
       this.client.send(message, 0, message.length, this.serverPort, this.serverAddress, (err) => {
         if (err) {
           console.error('خطأ في إرسال رسالة UDP:', err);
           reject(err);
         } else {
-          resolve();
+          resolve({ status: 'sent' });
         }
       });
     });
   }
 
+  /**
+   * إرسال رسالة برقم تسلسل وإعادة إرسالها مع تضاعف مدة الانتظار حتى يصل
+   * إشعار الاستلام أو تنفد المحاولات
+   * @param {Object} messageData - بيانات الرسالة المراد إرسالها
+   * @returns {Promise<Object>} وعد يتم حله بحالة التسليم (لا يُرفض أبدًا)
+   */
+  sendReliable(messageData) {
+    const senderId = String(messageData.senderId);
+    const seq = (this.sequences.get(senderId) || 0) + 1;
+    this.sequences.set(senderId, seq);
+
+    const key = `${senderId}:${seq}`;
+    const packet = sealDatagram({ type: PACKET_DATA, senderId, seq, payload: messageData }, this.session);
+
+    return new Promise((resolve) => {
+      const entry = { seq, attempts: 0, timeout: null, resolve };
+      this.pending.set(key, entry);
+
+      const attempt = () => {
+        if (entry.attempts >= RETRANSMIT_MAX_ATTEMPTS) {
+          this.settle(key, 'failed');
+          return;
+        }
+
+        entry.attempts++;
+        entry.timeout = setTimeout(attempt, RETRANSMIT_INITIAL_MS * 2 ** (entry.attempts - 1));
+        try {
+          this.client.send(packet, this.serverPort, this.serverAddress, (err) => {
+            if (err) console.error('خطأ في إرسال رسالة UDP:', err);
+          });
+        } catch (err) {
+          // المقبس مغلق: لا فائدة من إعادة المحاولة
+          console.error('خطأ في إرسال رسالة UDP:', err);
+          this.settle(key, 'failed');
+        }
+      };
+      attempt();
+    });
+  }
+
+  /**
+   * معالجة إشعار استلام من الخادم
+   * @param {Object} ack - `{ session, senderId, seq }`
+   */
+  handleAck(ack) {
+    if (ack.session !== this.session) return;
+    this.settle(`${ack.senderId}:${ack.seq}`, 'delivered');
+  }
+
+  /**
+   * إنهاء انتظار رسالة موثوقة وإرجاع حالة تسليمها
+   */
+  settle(key, status) {
+    const entry = this.pending.get(key);
+    if (!entry) return;
+
+    clearTimeout(entry.timeout);
+    this.pending.delete(key);
+    entry.resolve({ seq: entry.seq, status, attempts: entry.attempts });
+  }
+
   /**
    * إغلاق اتصال UDP
    */
@@ -29,3 +29,40 @@ export const protectRoute = async (req, res, next) => {
     res.status(500).json({ message: "Internal server error" });
   }
 };
+
+// Reads one cookie from a raw Cookie header; socket handshakes don't go
+// through cookie-parser
+const readCookie = (header = "", name) => {
+  const cookie = header.split(";").map((part) => part.trim()).find((part) => part.startsWith(`${name}=`));
+  return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null;
+};
+
+// socket.io counterpart of protectRoute: authenticates the handshake with the
+// same jwt cookie and exposes the user on socket.data
+export const protectSocket = async (socket, next) => {
+  try {
+    const token = readCookie(socket.handshake.headers.cookie, "jwt");
+
+    if (!token) {
+      return next(new Error("Unauthorized - No Token Provided"));
+    }
+
+    // Throws for invalid and expired tokens
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    const user = await User.findById(decoded.userId).select("-password");
+
+    if (!user) {
+      return next(new Error("Unauthorized - User not found"));
+    }
+
+    socket.data.user = user.toObject();
+    socket.data.token = token;
+    socket.data.tokenExpiresAt = decoded.exp * 1000;
+
+    next();
+  } catch (error) {
+    console.log("Error in protectSocket middleware: ", error.message);
+    next(new Error("Unauthorized - Invalid Token"));
+  }
+};
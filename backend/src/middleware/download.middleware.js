@@ -0,0 +1,18 @@
+import { protectRoute } from "./auth.middleware.js";
+import { verifyFileSignature } from "../lib/files.js";
+
+// Lets a file download through with a valid signed URL (see signFileUrl), and
+// otherwise requires a logged in user like protectRoute. `req.user` is only
+// set in the latter case.
+export const protectDownload = (req, res, next) => {
+  const { expires, signature } = req.query;
+
+  if (signature === undefined) {
+    return protectRoute(req, res, next);
+  }
+
+  if (!verifyFileSignature(req.params.fileId, expires, signature)) {
+    return res.status(403).json({ error: "The download link is invalid or has expired" });
+  }
+  next();
+};
@@ -0,0 +1,39 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import multer from "multer";
+import { maxFileSize } from "../lib/tcp-protocol.js";
+
+// Uploads land in temp/ and are streamed on from there
+const tempDir = path.join(process.cwd(), "temp");
+if (!fs.existsSync(tempDir)) {
+  fs.mkdirSync(tempDir, { recursive: true });
+}
+
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, tempDir);
+  },
+  // A random name, so nothing the client sends ends up in the path; the
+  // original name is kept in req.file.originalname
+  filename: function (req, file, cb) {
+    cb(null, crypto.randomUUID());
+  },
+});
+
+// Accepts a single file in `fieldName`. Files over the configured maximum size
+// are rejected while they're still uploading.
+export const uploadSingleFile = (fieldName) => (req, res, next) => {
+  const upload = multer({ storage, limits: { fileSize: maxFileSize() } }).single(fieldName);
+
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError && error.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({ error: `Files may be at most ${maxFileSize() / (1024 * 1024)} MB` });
+    }
+    if (error) {
+      console.log("Error in uploadSingleFile middleware: ", error.message);
+      return res.status(400).json({ error: "Invalid file upload" });
+    }
+    next();
+  });
+};
@@ -0,0 +1,73 @@
+import { config } from "dotenv";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import mongoose from "mongoose";
+import { connectDB } from "../lib/db.js";
+import File from "../models/file.model.js";
+import Message from "../models/message.model.js";
+
+config();
+
+// Messages used to keep the path of their file in `file`. This gives each of
+// those files a File record and points the message at it; messages whose file
+// is gone from uploads/ lose the link. Safe to run more than once.
+
+const uploadsDir = path.join(process.cwd(), "uploads");
+
+const hashFile = async (filePath) => {
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of fs.createReadStream(filePath)) hash.update(chunk);
+  return hash.digest("hex");
+};
+
+const linkMessageFile = async (message) => {
+  const storedName = path.basename(message.file);
+  const filePath = path.join(uploadsDir, storedName);
+
+  let file = await File.findOne({ storedName });
+  if (!file) {
+    if (!fs.existsSync(filePath)) {
+      await Message.collection.updateOne({ _id: message._id }, { $unset: { file: "" } });
+      console.log(`Missing file ${storedName}, unlinked it from message ${message._id}`);
+      return;
+    }
+
+    file = new File({
+      ownerId: message.senderId,
+      receiverId: message.chatRoomId ? undefined : message.receiverId,
+      chatRoomId: message.chatRoomId,
+      originalName: message.fileName || storedName.replace(/^\d+-/, ""),
+      storedName,
+      size: (await fs.promises.stat(filePath)).size,
+      sha256: await hashFile(filePath),
+      createdAt: message.createdAt,
+      updatedAt: message.createdAt,
+    });
+    await file.save({ timestamps: false });
+  }
+
+  await Message.collection.updateOne(
+    { _id: message._id },
+    { $set: { file: file._id }, $unset: { fileName: "", fileSize: "", fileSha256: "" } }
+  );
+};
+
+const migrate = async () => {
+  try {
+    await connectDB();
+
+    // Read the raw documents: the schema would drop the old string paths
+    const messages = await Message.collection.find({ file: { $type: "string" } }).toArray();
+    for (const message of messages) await linkMessageFile(message);
+
+    console.log(`Linked the files of ${messages.length} messages`);
+  } catch (error) {
+    console.error("Error linking message files:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+migrate();
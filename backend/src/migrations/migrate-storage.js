@@ -0,0 +1,186 @@
+import { config } from "dotenv";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { pipeline } from "stream/promises";
+import mongoose from "mongoose";
+import { connectDB } from "../lib/db.js";
+import {
+  STORAGE_DRIVERS,
+  getStorage,
+  mediaContentType,
+  mediaExtension,
+  mediaKeyFromUrl,
+  putMedia,
+} from "../lib/storage.js";
+import File from "../models/file.model.js";
+import User from "../models/user.model.js";
+import ChatRoom from "../models/chatroom.model.js";
+import Message from "../models/message.model.js";
+
+config();
+
+// Moves uploads from one storage driver to another (see lib/storage.js):
+//
+//   npm run migrate:storage -- --from local --to s3 [--delete-source]
+//
+// Both drivers must be configured. Chat files are copied, checked against
+// their SHA-256 and switched over one by one, and --delete-source then
+// deletes the old copy. Media held by the source are stored again on the
+// target and the documents linking to them get the new URLs; the old copies
+// are kept. Switch STORAGE_DRIVER to the target once it is done. Anything
+// that fails is logged and left on the source, so running it again picks up
+// where it stopped.
+
+const USAGE = `Usage: npm run migrate:storage -- --from <driver> --to <driver> [--delete-source]
+Drivers: ${STORAGE_DRIVERS.join(", ")}`;
+
+// Documents linking to media
+const MEDIA_FIELDS = [
+  [User, "profilePic"],
+  [ChatRoom, "avatar"],
+  [Message, "image"],
+];
+
+const tempDir = path.join(process.cwd(), "temp");
+
+const parseArgs = (args) => {
+  const options = { deleteSource: false };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--from") options.from = args[++i];
+    else if (args[i] === "--to") options.to = args[++i];
+    else if (args[i] === "--delete-source") options.deleteSource = true;
+    else return null;
+  }
+
+  const valid = [options.from, options.to].every((driver) => STORAGE_DRIVERS.includes(driver));
+  return valid && options.from !== options.to ? options : null;
+};
+
+const moveFile = async (file, source, target, deleteSource) => {
+  const tempPath = path.join(tempDir, `migrate-${file._id}`);
+  const hash = crypto.createHash("sha256");
+
+  try {
+    await pipeline(
+      await source.createReadStream(file.storedName),
+      async function* (chunks) {
+        for await (const chunk of chunks) {
+          hash.update(chunk);
+          yield chunk;
+        }
+      },
+      fs.createWriteStream(tempPath)
+    );
+    if (file.sha256 && hash.digest("hex") !== file.sha256) {
+      throw new Error("the copy read from the source doesn't match the file's SHA-256");
+    }
+
+    await target.putFile(file.storedName, tempPath, { contentType: file.mimeType });
+    await File.updateOne({ _id: file._id }, { $set: { storage: target.name } });
+    if (deleteSource) await source.remove(file.storedName);
+  } finally {
+    await fs.promises.rm(tempPath, { force: true });
+  }
+};
+
+// Files recorded before the storage field existed are on the local disk
+const filesOn = (driver) =>
+  driver === "local" ? { $or: [{ storage: "local" }, { storage: { $exists: false } }] } : { storage: driver };
+
+const moveFiles = async ({ from, to, deleteSource }) => {
+  const [source, target] = [getStorage(from), getStorage(to)];
+  let moved = 0;
+  let failed = 0;
+
+  for await (const file of File.find(filesOn(from)).cursor()) {
+    try {
+      await moveFile(file, source, target, deleteSource);
+      moved++;
+    } catch (error) {
+      failed++;
+      console.error(`Could not move file ${file._id} (${file.originalName}): ${error.message}`);
+    }
+  }
+
+  console.log(`Moved ${moved} files from ${from} to ${to}${failed ? `, ${failed} failed` : ""}`);
+  return failed;
+};
+
+// Reads a media object the source holds: `/api/media/` URLs from the driver
+// itself (they are served from the configured driver, which is the source
+// until the migration is done), others from the driver's public URL
+const readMedia = async (url, source) => {
+  const key = mediaKeyFromUrl(url);
+  if (key) {
+    const chunks = [];
+    for await (const chunk of await source.createReadStream(key)) chunks.push(chunk);
+    return { key, data: Buffer.concat(chunks), contentType: mediaContentType(key) };
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`download failed with ${response.status}`);
+  const contentType = (response.headers.get("content-type") || "").split(";")[0].trim();
+  if (!mediaExtension(contentType)) throw new Error(`unsupported media type "${contentType}"`);
+  return { data: Buffer.from(await response.arrayBuffer()), contentType };
+};
+
+const moveMedia = async ({ from, to }) => {
+  const [source, target] = [getStorage(from), getStorage(to)];
+  const isOnSource = (url) => (mediaKeyFromUrl(url) ? from !== "cloudinary" : source.ownsUrl(url));
+  // New URLs by old URL, so media linked from several documents move once
+  const movedUrls = new Map();
+  let updated = 0;
+  let failed = 0;
+
+  for (const [Model, field] of MEDIA_FIELDS) {
+    const documents = Model.find({ [field]: { $type: "string", $ne: "" } }).select(field).lean().cursor();
+
+    for await (const document of documents) {
+      const url = document[field];
+      if (!isOnSource(url)) continue;
+
+      try {
+        if (!movedUrls.has(url)) {
+          const { key, data, contentType } = await readMedia(url, source);
+          movedUrls.set(url, await putMedia(data, contentType, { storage: target, key }));
+        }
+        await Model.updateOne({ _id: document._id }, { $set: { [field]: movedUrls.get(url) } }, { timestamps: false });
+        updated++;
+      } catch (error) {
+        failed++;
+        console.error(`Could not move ${Model.modelName} ${document._id} ${field} (${url}): ${error.message}`);
+      }
+    }
+  }
+
+  console.log(`Moved ${movedUrls.size} media from ${from} to ${to}, linked from ${updated} documents${failed ? `, ${failed} failed` : ""}`);
+  return failed;
+};
+
+const migrate = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    // Fails early when either driver isn't configured
+    getStorage(options.from);
+    getStorage(options.to);
+    await connectDB();
+    await fs.promises.mkdir(tempDir, { recursive: true });
+
+    const failed = (await moveFiles(options)) + (await moveMedia(options));
+    if (failed > 0) process.exitCode = 1;
+  } catch (error) {
+    console.error("Error migrating storage:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+migrate();
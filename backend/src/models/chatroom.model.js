@@ -18,6 +18,25 @@ const chatRoomSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Current owner; starts as the creator and changes on transfer
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Admins manage membership and roles; moderators can edit room details.
+    // Every other participant is a plain member.
+    admins: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    }],
+    moderators: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    }],
+    avatar: {
+      type: String,
+      default: "",
+    },
     lastMessage: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Message",
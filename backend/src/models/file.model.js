@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+
+// A stored chat file, recorded once its transfer is verified
+const fileSchema = new mongoose.Schema(
+  {
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Set for files sent in a direct conversation
+    receiverId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Set for files sent to a chat room
+    chatRoomId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ChatRoom",
+    },
+    // Name of the file as the sender had it
+    originalName: {
+      type: String,
+      required: true,
+    },
+    // Key of the file in its storage
+    storedName: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Storage driver holding the file (see lib/storage.js)
+    storage: {
+      type: String,
+      enum: ["local", "s3", "cloudinary"],
+      default: "local",
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      default: "application/octet-stream",
+    },
+    // Hex SHA-256, verified when the file was received
+    sha256: {
+      type: String,
+    },
+    // Expired files are deleted from disk and from the collection
+    expiresAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    id: false,
+    toJSON: { virtuals: true },
+  }
+);
+
+// Where participants download the file, see downloadFile
+fileSchema.virtual("url").get(function () {
+  return `/api/files/${this._id}/download`;
+});
+
+// Support paging through a conversation's files by creation time
+fileSchema.index({ ownerId: 1, receiverId: 1, createdAt: -1 });
+fileSchema.index({ chatRoomId: 1, createdAt: -1 });
+fileSchema.index({ expiresAt: 1 }, { sparse: true });
+
+const File = mongoose.model("File", fileSchema);
+
+export default File;
@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+// Shareable link that lets anyone holding the token join a chat room
+const inviteSchema = new mongoose.Schema(
+  {
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    chatRoomId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ChatRoom",
+      required: true,
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Unlimited when not set
+    maxUses: {
+      type: Number,
+      min: 1,
+    },
+    uses: {
+      type: Number,
+      default: 0,
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+const Invite = mongoose.model("Invite", inviteSchema);
+
+export default Invite;
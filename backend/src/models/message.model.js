@@ -22,20 +22,104 @@ const messageSchema = new mongoose.Schema(
       type: String,
     },
     file: {
-      type: String,
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "File",
+    },
+    // The message this one quotes/replies to
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+    },
+    // The first message of the thread this reply belongs to
+    threadRootId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      index: true,
+    },
+    // Maintained on thread roots only
+    replyCount: {
+      type: Number,
+      default: 0,
+    },
+    lastReplyAt: {
+      type: Date,
+    },
+    // One entry per user per emoji
+    reactions: [{
+      _id: false,
+      emoji: {
+        type: String,
+        required: true,
+      },
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+      },
+    }],
+    // Room events such as "X added Y"; senderId is the user who caused them
+    isSystemMessage: {
+      type: Boolean,
+      default: false,
     },
     isUdpMessage: {
       type: Boolean,
       default: false,
     },
+    // Outcome of reliable UDP delivery, for UDP messages
+    udpStatus: {
+      type: String,
+      enum: ["delivered", "failed"],
+    },
+    // Recipients whose device received the message
+    deliveredTo: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    }],
+    // Recipients who have seen the message (always also in deliveredTo)
     readBy: [{
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
     }],
+    // Previous versions of the text, oldest first
+    editHistory: [{
+      text: String,
+      editedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+    editedAt: {
+      type: Date,
+    },
+    // Deleted for everyone by the sender; content is cleared
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+    deletedAt: {
+      type: Date,
+    },
+    // Users who deleted the message for themselves only
+    deletedFor: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    }],
   },
   { timestamps: true }
 );
 
+// Support paging through a conversation's history by creation time, with
+// the id breaking ties
+messageSchema.index({ senderId: 1, receiverId: 1, createdAt: -1, _id: -1 });
+messageSchema.index({ chatRoomId: 1, createdAt: -1, _id: -1 });
+
+// Find who has messaged a user, for their presence audience
+messageSchema.index({ receiverId: 1, senderId: 1 });
+
+// Full-text search over message contents
+messageSchema.index({ text: "text" });
+
 const Message = mongoose.model("Message", messageSchema);
 
 export default Message;
@@ -21,14 +21,41 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: "",
     },
+    // Derived from the user's connected devices (see lib/socket.js); "away"
+    // once every device is idle, "dnd" while doNotDisturb is on
     status: {
       type: String,
-      enum: ['online', 'offline'],
+      enum: ['online', 'away', 'dnd', 'offline'],
       default: 'offline'
     },
     lastSeen: {
       type: Date,
       default: Date.now
+    },
+    // Shown next to the user's name until it expires
+    customStatus: {
+      text: {
+        type: String,
+        maxlength: 100,
+      },
+      emoji: {
+        type: String,
+        maxlength: 16,
+      },
+      expiresAt: {
+        type: Date,
+      },
+    },
+    // Mutes notifications and shows the user as busy
+    doNotDisturb: {
+      type: Boolean,
+      default: false,
+    },
+    privacy: {
+      showLastSeen: {
+        type: Boolean,
+        default: true,
+      },
     }
   },
   { timestamps: true }
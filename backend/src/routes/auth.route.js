@@ -1,5 +1,13 @@
 import express from "express";
-import { checkAuth, login, logout, signup, updateProfile } from "../controllers/auth.controller.js";
+import {
+  checkAuth,
+  login,
+  logout,
+  signup,
+  updateProfile,
+  updateStatus,
+  updatePrivacy,
+} from "../controllers/auth.controller.js";
 import { protectRoute } from "../middleware/auth.middleware.js";
 
 const router = express.Router();
@@ -9,6 +17,8 @@ router.post("/login", login);
 router.post("/logout", logout);
 
 router.put("/update-profile", protectRoute, updateProfile);
+router.put("/status", protectRoute, updateStatus);
+router.put("/privacy", protectRoute, updatePrivacy);
 
 router.get("/check", protectRoute, checkAuth);
 
@@ -1,12 +1,44 @@
 import express from 'express';
 import { protectRoute } from '../middleware/auth.middleware.js';
-import { createChatRoom, updateChatControls, getChatInfo } from '../controllers/chat.controller.js';
+import {
+  createChatRoom,
+  updateChatControls,
+  getChatInfo,
+  getMyChatRooms,
+  updateChatRoom,
+  addParticipants,
+  removeParticipant,
+  setParticipantRole,
+  transferOwnership,
+  leaveChatRoom,
+  createInvite,
+  getInvites,
+  revokeInvite,
+  previewInvite,
+  joinWithInvite
+} from '../controllers/chat.controller.js';
 
 const router = express.Router();
 
 // Routes for chat room management
 router.post('/create', protectRoute, createChatRoom);
+router.get('/rooms', protectRoute, getMyChatRooms);
 router.post('/controls', protectRoute, updateChatControls);
 router.get('/info/:chatId', protectRoute, getChatInfo);
 
+// Routes for joining through invite links
+router.get('/join/:token', protectRoute, previewInvite);
+router.post('/join/:token', protectRoute, joinWithInvite);
+
+// Routes for room administration
+router.patch('/:chatId', protectRoute, updateChatRoom);
+router.post('/:chatId/participants', protectRoute, addParticipants);
+router.delete('/:chatId/participants/:userId', protectRoute, removeParticipant);
+router.patch('/:chatId/participants/:userId/role', protectRoute, setParticipantRole);
+router.post('/:chatId/transfer', protectRoute, transferOwnership);
+router.post('/:chatId/leave', protectRoute, leaveChatRoom);
+router.post('/:chatId/invites', protectRoute, createInvite);
+router.get('/:chatId/invites', protectRoute, getInvites);
+router.delete('/:chatId/invites/:inviteId', protectRoute, revokeInvite);
+
 export default router;
\ No newline at end of file
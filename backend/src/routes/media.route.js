@@ -0,0 +1,10 @@
+import express from 'express';
+import { getMedia } from '../controllers/media.controller.js';
+
+const router = express.Router();
+
+// Images stored by drivers without public URLs; no login needed, so they
+// work in <img> tags
+router.get('/:name', getMedia);
+
+export default router;
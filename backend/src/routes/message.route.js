@@ -1,34 +1,57 @@
 import express from "express";
-import multer from "multer";
-import path from "path";
 import { protectRoute } from "../middleware/auth.middleware.js";
-import { getMessages, getUsersForSidebar, sendMessage, sendFileMessage } from "../controllers/message.controller.js";
-
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, path.join(process.cwd(), 'temp'));
-  },
-  filename: function (req, file, cb) {
-    cb(null, `${Date.now()}-${file.originalname}`);
-  }
-});
-
-// Create temp directory if it doesn't exist
-import fs from 'fs';
-const tempDir = path.join(process.cwd(), 'temp');
-if (!fs.existsSync(tempDir)) {
-  fs.mkdirSync(tempDir, { recursive: true });
-}
-
-const upload = multer({ storage });
+import { uploadSingleFile } from "../middleware/upload.middleware.js";
+import {
+  getMessages,
+  getUsersForSidebar,
+  sendMessage,
+  sendFileMessage,
+  editMessage,
+  deleteMessage,
+  getThread,
+  addReaction,
+  removeReaction,
+  searchMessages,
+  markDelivered,
+  markRead,
+  startTransfer,
+  getTransferStatus,
+  uploadTransferChunk,
+  completeTransfer,
+  cancelTransfer,
+} from "../controllers/message.controller.js";
+
+// Largest chunk accepted by a resumable upload
+const MAX_CHUNK_SIZE = "8mb";
 
 const router = express.Router();
 
 router.get("/users", protectRoute, getUsersForSidebar);
+router.get("/search", protectRoute, searchMessages);
+router.get("/thread/:id", protectRoute, getThread);
+
+router.post("/transfers", protectRoute, startTransfer);
+router.get("/transfers/:transferId", protectRoute, getTransferStatus);
+router.put(
+  "/transfers/:transferId",
+  protectRoute,
+  express.raw({ type: "application/octet-stream", limit: MAX_CHUNK_SIZE }),
+  uploadTransferChunk
+);
+router.post("/transfers/:transferId/complete", protectRoute, completeTransfer);
+router.delete("/transfers/:transferId", protectRoute, cancelTransfer);
+
 router.get("/:id", protectRoute, getMessages);
 
 router.post("/send/:id", protectRoute, sendMessage);
-router.post("/send-file/:id", protectRoute, upload.single('file'), sendFileMessage);
+router.post("/send-file/:id", protectRoute, uploadSingleFile('file'), sendFileMessage);
+router.post("/delivered", protectRoute, markDelivered);
+router.post("/read", protectRoute, markRead);
+
+router.patch("/:id", protectRoute, editMessage);
+router.delete("/:id", protectRoute, deleteMessage);
+
+router.post("/:id/reactions", protectRoute, addReaction);
+router.delete("/:id/reactions/:emoji", protectRoute, removeReaction);
 
 export default router;
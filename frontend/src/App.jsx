@@ -5,8 +5,9 @@ import SignUpPage from "./pages/SignUpPage";
 import LoginPage from "./pages/LoginPage";
 import SettingsPage from "./pages/SettingsPage";
 import ProfilePage from "./pages/ProfilePage";
+import JoinRoomPage from "./pages/JoinRoomPage";
 
-import { Routes, Route, Navigate } from "react-router-dom";
+import { Routes, Route, Navigate, useLocation } from "react-router-dom";
 import { useAuthStore } from "./store/useAuthStore";
 import { useThemeStore } from "./store/useThemeStore";
 import { useEffect } from "react";
@@ -17,6 +18,7 @@ import { Toaster } from "react-hot-toast";
 const App = () => {
   const { authUser, checkAuth, isCheckingAuth, onlineUsers } = useAuthStore();
   const { theme } = useThemeStore();
+  const location = useLocation();
 
   console.log({ onlineUsers });
 
@@ -33,16 +35,21 @@ const App = () => {
       </div>
     );
 
+  // Where to go once logged in: the page that sent the user to log in, e.g. an
+  // invite link
+  const returnTo = location.state?.from || "/";
+
   return (
     <div data-theme={theme}>
       <Navbar />
 
       <Routes>
         <Route path="/" element={authUser ? <HomePage /> : <Navigate to="/login" />} />
-        <Route path="/signup" element={!authUser ? <SignUpPage /> : <Navigate to="/" />} />
-        <Route path="/login" element={!authUser ? <LoginPage /> : <Navigate to="/" />} />
+        <Route path="/signup" element={!authUser ? <SignUpPage /> : <Navigate to={returnTo} replace />} />
+        <Route path="/login" element={!authUser ? <LoginPage /> : <Navigate to={returnTo} replace />} />
         <Route path="/settings" element={<SettingsPage />} />
         <Route path="/profile" element={authUser ? <ProfilePage /> : <Navigate to="/login" />} />
+        <Route path="/join/:token" element={authUser ? <JoinRoomPage /> : <Navigate to="/login" state={{ from: location }} replace />} />
       </Routes>
 
       <Toaster />
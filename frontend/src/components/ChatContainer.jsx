@@ -1,11 +1,18 @@
 import { useChatStore } from "../store/useChatStore";
-import { useEffect, useRef } from "react";
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
 
 import ChatHeader from "./ChatHeader";
 import MessageInput from "./MessageInput";
 import MessageSkeleton from "./skeletons/MessageSkeleton";
+import MessageActions from "./MessageActions";
+import QuotedMessage from "./QuotedMessage";
+import FileAttachment from "./FileAttachment";
+import ReactionBar from "./ReactionBar";
+import MessageStatus from "./MessageStatus";
 import { useAuthStore } from "../store/useAuthStore";
-import { formatMessageTime } from "../lib/utils";
+import { formatMessageTime, getSenderId } from "../lib/utils";
+import { mediaUrl } from "../lib/config";
+import { Loader } from "lucide-react";
 
 const ChatContainer = () => {
   const {
@@ -13,25 +20,151 @@ const ChatContainer = () => {
     getMessages,
     isMessagesLoading,
     selectedUser,
+    selectedRoom,
+    getConversationMember,
     subscribeToMessages,
     unsubscribeFromMessages,
+    editMessage,
+    openThread,
+    hasMoreMessages,
+    isLoadingOlderMessages,
+    loadOlderMessages,
+    hasNewerMessages,
+    isLoadingNewerMessages,
+    loadNewerMessages,
+    highlightedMessageId,
+    clearHighlightedMessage,
+    markMessagesRead,
   } = useChatStore();
   const { authUser } = useAuthStore();
+  const conversationId = selectedRoom?._id || selectedUser?._id;
   const messageEndRef = useRef(null);
+  const scrollContainerRef = useRef(null);
+  // Scroll metrics captured before older messages are prepended
+  const prependAnchorRef = useRef(null);
+  const lastMessageIdRef = useRef(null);
+  // Set while newer history is appended, which should not scroll to the bottom
+  const appendingHistoryRef = useRef(false);
+  // Messages seen while the tab was hidden, or not yet reported
+  const pendingReadIdsRef = useRef(new Set());
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [editText, setEditText] = useState("");
 
   useEffect(() => {
-    getMessages(selectedUser._id);
+    getMessages();
 
     subscribeToMessages();
 
     return () => unsubscribeFromMessages();
-  }, [selectedUser._id, getMessages, subscribeToMessages, unsubscribeFromMessages]);
+  }, [conversationId, getMessages, subscribeToMessages, unsubscribeFromMessages]);
 
-  useEffect(() => {
-    if (messageEndRef.current && messages) {
+  useLayoutEffect(() => {
+    const container = scrollContainerRef.current;
+
+    // Keep the same messages in view after older ones are prepended
+    if (prependAnchorRef.current && container) {
+      const { scrollHeight, scrollTop } = prependAnchorRef.current;
+      container.scrollTop = container.scrollHeight - scrollHeight + scrollTop;
+      prependAnchorRef.current = null;
+      return;
+    }
+
+    const lastMessageId = messages[messages.length - 1]?._id;
+    const followConversation = lastMessageId !== lastMessageIdRef.current && !appendingHistoryRef.current;
+    lastMessageIdRef.current = lastMessageId;
+    appendingHistoryRef.current = false;
+
+    // Bring a message opened from search into view instead of the newest one
+    const highlightedMessage = highlightedMessageId && document.getElementById(`message-${highlightedMessageId}`);
+    if (highlightedMessage) {
+      highlightedMessage.scrollIntoView({ block: "center" });
+      return;
+    }
+
+    // Only follow the conversation when a new message arrives at the bottom
+    if (messageEndRef.current && followConversation) {
       messageEndRef.current.scrollIntoView({ behavior: "smooth" });
     }
-  }, [messages]);
+  }, [messages, highlightedMessageId]);
+
+  useEffect(() => {
+    if (!highlightedMessageId) return;
+
+    const timeout = setTimeout(clearHighlightedMessage, 3000);
+    return () => clearTimeout(timeout);
+  }, [highlightedMessageId, clearHighlightedMessage]);
+
+  // Mark incoming messages read once they have actually been on screen
+  useEffect(() => {
+    const container = scrollContainerRef.current;
+    if (!container) return;
+
+    let flushTimeout;
+    const flush = () => {
+      if (document.visibilityState !== "visible" || pendingReadIdsRef.current.size === 0) return;
+      markMessagesRead([...pendingReadIdsRef.current]);
+      pendingReadIdsRef.current.clear();
+    };
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          if (!entry.isIntersecting) return;
+          pendingReadIdsRef.current.add(entry.target.dataset.messageId);
+          observer.unobserve(entry.target);
+        });
+        clearTimeout(flushTimeout);
+        flushTimeout = setTimeout(flush, 300);
+      },
+      { root: container, threshold: 0.5 }
+    );
+
+    container.querySelectorAll('[data-unread="true"]').forEach((element) => observer.observe(element));
+    document.addEventListener("visibilitychange", flush);
+
+    return () => {
+      observer.disconnect();
+      clearTimeout(flushTimeout);
+      document.removeEventListener("visibilitychange", flush);
+      flush();
+    };
+  }, [messages, isMessagesLoading, markMessagesRead]);
+
+  const handleScroll = async (e) => {
+    const container = e.currentTarget;
+    const distanceFromBottom = container.scrollHeight - container.scrollTop - container.clientHeight;
+
+    if (distanceFromBottom < 100 && hasNewerMessages && !isLoadingNewerMessages) {
+      appendingHistoryRef.current = true;
+      const loaded = await loadNewerMessages();
+      if (!loaded) appendingHistoryRef.current = false;
+      return;
+    }
+
+    if (container.scrollTop > 100 || !hasMoreMessages || isLoadingOlderMessages) return;
+
+    prependAnchorRef.current = { scrollHeight: container.scrollHeight, scrollTop: container.scrollTop };
+    const loaded = await loadOlderMessages();
+    if (!loaded) prependAnchorRef.current = null;
+  };
+
+  const startEditing = (message) => {
+    setEditingMessageId(message._id);
+    setEditText(message.text);
+  };
+
+  const cancelEditing = () => {
+    setEditingMessageId(null);
+    setEditText("");
+  };
+
+  const handleEditSubmit = async (e) => {
+    e.preventDefault();
+    if (!editText.trim()) return;
+
+    await editMessage(editingMessageId, editText.trim());
+    cancelEditing();
+  };
 
   if (isMessagesLoading) {
     return (
@@ -47,42 +180,112 @@ const ChatContainer = () => {
     <div className="flex-1 flex flex-col overflow-auto">
       <ChatHeader />
 
-      <div className="flex-1 overflow-y-auto p-4 space-y-4">
-        {messages.map((message) => (
-          <div
-            key={message._id}
-            className={`chat ${message.senderId === authUser._id ? "chat-end" : "chat-start"}`}
-            ref={messageEndRef}
-          >
-            <div className=" chat-image avatar">
-              <div className="size-10 rounded-full border">
-                <img
-                  src={
-                    message.senderId === authUser._id
-                      ? authUser.profilePic || "/avatar.png"
-                      : selectedUser.profilePic || "/avatar.png"
-                  }
-                  alt="profile pic"
-                />
+      <div ref={scrollContainerRef} onScroll={handleScroll} className="flex-1 overflow-y-auto p-4 space-y-4">
+        {isLoadingOlderMessages && (
+          <div className="flex justify-center">
+            <Loader className="size-5 animate-spin opacity-60" />
+          </div>
+        )}
+        {messages.map((message) => {
+          if (message.isSystemMessage) {
+            return (
+              <div key={message._id} id={`message-${message._id}`} className="flex justify-center" ref={messageEndRef}>
+                <span className="text-xs text-base-content/60 bg-base-200 rounded-full px-3 py-1">{message.text}</span>
               </div>
-            </div>
-            <div className="chat-header mb-1">
-              <time className="text-xs opacity-50 ml-1">
-                {formatMessageTime(message.createdAt)}
-              </time>
-            </div>
-            <div className="chat-bubble flex flex-col">
-              {message.image && (
-                <img
-                  src={message.image}
-                  alt="Attachment"
-                  className="sm:max-w-[200px] rounded-md mb-2"
-                />
+            );
+          }
+
+          const senderId = getSenderId(message);
+          const isOwnMessage = senderId === authUser._id;
+          // Room messages carry their populated sender, which outlives room membership
+          const sender = getConversationMember(senderId) || (typeof message.senderId === "object" ? message.senderId : null);
+
+          return (
+            <div
+              key={message._id}
+              id={`message-${message._id}`}
+              data-message-id={message._id}
+              data-unread={!isOwnMessage && !message.isDeleted && !message.readBy?.includes(authUser._id)}
+              className={`chat ${isOwnMessage ? "chat-end" : "chat-start"} ${
+                message._id === highlightedMessageId ? "bg-primary/10 rounded-lg transition-colors" : ""
+              }`}
+              ref={messageEndRef}
+            >
+              <div className=" chat-image avatar">
+                <div className="size-10 rounded-full border">
+                  <img src={mediaUrl(sender?.profilePic) || "/avatar.png"} alt="profile pic" />
+                </div>
+              </div>
+              <div className="chat-header mb-1 flex items-center gap-1">
+                {selectedRoom && !isOwnMessage && (
+                  <span className="text-xs font-medium">{sender?.fullName || "Former member"}</span>
+                )}
+                <time className="text-xs opacity-50 ml-1">
+                  {formatMessageTime(message.createdAt)}
+                </time>
+                {isOwnMessage && !message.isDeleted && <MessageStatus message={message} />}
+                {!message.isDeleted && (
+                  <MessageActions message={message} isOwnMessage={isOwnMessage} onEdit={startEditing} />
+                )}
+              </div>
+              {message.isDeleted ? (
+                <div className="chat-bubble italic opacity-60">This message was deleted</div>
+              ) : (
+                <div className="chat-bubble flex flex-col">
+                  {message.replyTo && <QuotedMessage message={message.replyTo} className="mb-2" />}
+                  {message.image && (
+                    <img
+                      src={mediaUrl(message.image)}
+                      alt="Attachment"
+                      className="sm:max-w-[200px] rounded-md mb-2"
+                    />
+                  )}
+                  {message.file?.url && <FileAttachment file={message.file} className="mb-2" />}
+                  {editingMessageId === message._id ? (
+                    <form onSubmit={handleEditSubmit} className="flex flex-col gap-2">
+                      <input
+                        type="text"
+                        className="input input-bordered input-sm text-base-content"
+                        value={editText}
+                        onChange={(e) => setEditText(e.target.value)}
+                        onKeyDown={(e) => e.key === "Escape" && cancelEditing()}
+                        autoFocus
+                      />
+                      <div className="flex justify-end gap-2">
+                        <button type="button" className="btn btn-xs btn-ghost" onClick={cancelEditing}>
+                          Cancel
+                        </button>
+                        <button type="submit" className="btn btn-xs btn-primary" disabled={!editText.trim()}>
+                          Save
+                        </button>
+                      </div>
+                    </form>
+                  ) : (
+                    message.text && <p>{message.text}</p>
+                  )}
+                </div>
               )}
-              {message.text && <p>{message.text}</p>}
+              <div className="chat-footer flex flex-col gap-1 text-xs">
+                {((message.editedAt && !message.isDeleted) || message.replyCount > 0) && (
+                  <div className="flex items-center gap-2">
+                    {message.editedAt && !message.isDeleted && <span className="opacity-50">edited</span>}
+                    {message.replyCount > 0 && (
+                      <button className="link link-primary" onClick={() => openThread(message._id)}>
+                        {message.replyCount} {message.replyCount === 1 ? "reply" : "replies"}
+                      </button>
+                    )}
+                  </div>
+                )}
+                {!message.isDeleted && <ReactionBar message={message} isOwnMessage={isOwnMessage} />}
+              </div>
             </div>
+          );
+        })}
+        {isLoadingNewerMessages && (
+          <div className="flex justify-center">
+            <Loader className="size-5 animate-spin opacity-60" />
           </div>
-        ))}
+        )}
       </div>
 
       <MessageInput />
@@ -1,10 +1,88 @@
-import { X } from "lucide-react";
+import { useState } from "react";
+import { Settings, Users, X } from "lucide-react";
 import { useAuthStore } from "../store/useAuthStore";
 import { useChatStore } from "../store/useChatStore";
+import RoomSettingsModal from "./RoomSettingsModal";
+import { STATUS_LABELS, activeCustomStatus, formatLastSeen, getUserPresence } from "../lib/utils";
+import { mediaUrl } from "../lib/config";
+
+// "X is typing…", "X and Y are typing…" or "X, Y and N others are typing…"
+const typingText = (names) => {
+  if (names.length === 1) return `${names[0]} is typing…`;
+  if (names.length === 2) return `${names[0]} and ${names[1]} are typing…`;
+  return `${names[0]}, ${names[1]} and ${names.length - 2} others are typing…`;
+};
 
 const ChatHeader = () => {
-  const { selectedUser, setSelectedUser } = useChatStore();
-  const { onlineUsers } = useAuthStore();
+  const { selectedUser, setSelectedUser, selectedRoom, setSelectedRoom, typingUserIds } = useChatStore();
+  const { onlineUsers, presence } = useAuthStore();
+  const [showRoomSettings, setShowRoomSettings] = useState(false);
+
+  if (selectedRoom) {
+    const onlineCount = selectedRoom.participants.filter((participant) =>
+      onlineUsers.includes(participant._id)
+    ).length;
+    const typingNames = selectedRoom.participants
+      .filter((participant) => typingUserIds.includes(participant._id))
+      .map((participant) => participant.fullName);
+
+    return (
+      <>
+        <div className="p-2.5 border-b border-base-300">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-3">
+              {/* Avatar */}
+              {selectedRoom.avatar ? (
+                <div className="avatar">
+                  <div className="size-10 rounded-full">
+                    <img src={mediaUrl(selectedRoom.avatar)} alt={selectedRoom.name} />
+                  </div>
+                </div>
+              ) : (
+                <div className="avatar placeholder">
+                  <div className="size-10 rounded-full bg-primary/10 text-primary">
+                    <Users className="size-5" />
+                  </div>
+                </div>
+              )}
+
+              {/* Room info */}
+              <div>
+                <h3 className="font-medium">{selectedRoom.name}</h3>
+                {typingNames.length > 0 ? (
+                  <p className="text-sm text-primary">{typingText(typingNames)}</p>
+                ) : (
+                  <p className="text-sm text-base-content/70">
+                    {selectedRoom.participants.length} members, {onlineCount} online
+                  </p>
+                )}
+              </div>
+            </div>
+
+            <div className="flex items-center gap-2">
+              <button onClick={() => setShowRoomSettings(true)} title="Group settings">
+                <Settings className="size-5" />
+              </button>
+
+              {/* Close button */}
+              <button onClick={() => setSelectedRoom(null)}>
+                <X />
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {showRoomSettings && <RoomSettingsModal onClose={() => setShowRoomSettings(false)} />}
+      </>
+    );
+  }
+
+  const userPresence = getUserPresence(presence, selectedUser);
+  const customStatus = activeCustomStatus(userPresence.customStatus);
+  const statusText =
+    userPresence.status === "offline" && userPresence.lastSeen
+      ? formatLastSeen(userPresence.lastSeen)
+      : STATUS_LABELS[userPresence.status];
 
   return (
     <div className="p-2.5 border-b border-base-300">
@@ -13,16 +91,25 @@ const ChatHeader = () => {
           {/* Avatar */}
           <div className="avatar">
             <div className="size-10 rounded-full relative">
-              <img src={selectedUser.profilePic || "/avatar.png"} alt={selectedUser.fullName} />
+              <img src={mediaUrl(selectedUser.profilePic) || "/avatar.png"} alt={selectedUser.fullName} />
             </div>
           </div>
 
           {/* User info */}
           <div>
-            <h3 className="font-medium">{selectedUser.fullName}</h3>
-            <p className="text-sm text-base-content/70">
-              {onlineUsers.includes(selectedUser._id) ? "Online" : "Offline"}
-            </p>
+            <h3 className="font-medium">
+              {selectedUser.fullName}
+              {customStatus && (
+                <span className="ml-2 text-sm font-normal text-base-content/70">
+                  {customStatus.emoji} {customStatus.text}
+                </span>
+              )}
+            </h3>
+            {typingUserIds.includes(selectedUser._id) ? (
+              <p className="text-sm text-primary">{typingText([selectedUser.fullName])}</p>
+            ) : (
+              <p className="text-sm text-base-content/70">{statusText}</p>
+            )}
           </div>
         </div>
 
@@ -0,0 +1,97 @@
+import { useState } from "react";
+import { Loader, X } from "lucide-react";
+import { useChatStore } from "../store/useChatStore";
+import { mediaUrl } from "../lib/config";
+
+const CreateGroupModal = ({ onClose }) => {
+  const { users, createRoom, isCreatingRoom, setSelectedRoom } = useChatStore();
+  const [name, setName] = useState("");
+  const [participantIds, setParticipantIds] = useState([]);
+  const [filter, setFilter] = useState("");
+
+  const visibleUsers = users.filter((user) => user.fullName?.toLowerCase().includes(filter.toLowerCase()));
+
+  const toggleParticipant = (userId) => {
+    setParticipantIds((current) =>
+      current.includes(userId) ? current.filter((id) => id !== userId) : [...current, userId]
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || participantIds.length === 0) return;
+
+    const room = await createRoom({ name: name.trim(), participants: participantIds });
+    if (room) {
+      setSelectedRoom(room);
+      onClose();
+    }
+  };
+
+  return (
+    <div className="modal modal-open">
+      <div className="modal-box">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="font-bold text-lg">New group</h3>
+          <button className="btn btn-sm btn-ghost btn-circle" onClick={onClose}>
+            <X className="size-4" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <input
+            type="text"
+            className="input input-bordered input-sm w-full"
+            placeholder="Group name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            autoFocus
+          />
+
+          <input
+            type="text"
+            className="input input-bordered input-sm w-full"
+            placeholder="Search people..."
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+          />
+
+          <div className="max-h-64 overflow-y-auto space-y-1">
+            {visibleUsers.map((user) => (
+              <label
+                key={user._id}
+                className="flex items-center gap-3 p-2 rounded-lg hover:bg-base-200 cursor-pointer"
+              >
+                <input
+                  type="checkbox"
+                  className="checkbox checkbox-sm"
+                  checked={participantIds.includes(user._id)}
+                  onChange={() => toggleParticipant(user._id)}
+                />
+                <img
+                  src={mediaUrl(user.profilePic) || "/avatar.png"}
+                  alt={user.fullName}
+                  className="size-8 object-cover rounded-full"
+                />
+                <span className="truncate">{user.fullName}</span>
+              </label>
+            ))}
+          </div>
+
+          <div className="flex items-center justify-between">
+            <span className="text-sm text-base-content/70">{participantIds.length} selected</span>
+            <button
+              type="submit"
+              className="btn btn-sm btn-primary"
+              disabled={isCreatingRoom || !name.trim() || participantIds.length === 0}
+            >
+              {isCreatingRoom ? <Loader className="size-4 animate-spin" /> : "Create"}
+            </button>
+          </div>
+        </form>
+      </div>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>
+  );
+};
+export default CreateGroupModal;
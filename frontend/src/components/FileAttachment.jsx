@@ -0,0 +1,83 @@
+import { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { Copy, FileText, Info } from "lucide-react";
+import { formatFileSize } from "../lib/utils";
+import { SERVER_URL } from "../lib/config";
+import { useChatStore } from "../store/useChatStore";
+
+// File types the server lets the browser show inline
+const PREVIEW_TYPE_PATTERN = /^(image\/(png|jpeg|gif|webp|avif)|video\/)/;
+
+// A file sent in a message, with its details: the SHA-256 the server verified
+// on receipt lets the recipient check the file they download is the one sent.
+// Images and videos are previewed through a signed URL, since the download
+// route needs the session cookie that <img> and <video> tags may not send.
+const FileAttachment = ({ file, className = "" }) => {
+  const getFilePreviewUrl = useChatStore((state) => state.getFilePreviewUrl);
+  const [showDetails, setShowDetails] = useState(false);
+  const [previewUrl, setPreviewUrl] = useState(null);
+
+  const isPreviewable = PREVIEW_TYPE_PATTERN.test(file.mimeType);
+
+  useEffect(() => {
+    if (!isPreviewable) return;
+
+    let cancelled = false;
+    getFilePreviewUrl(file._id).then((url) => {
+      if (!cancelled) setPreviewUrl(url);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [file._id, isPreviewable, getFilePreviewUrl]);
+
+  const copyHash = async () => {
+    try {
+      await navigator.clipboard.writeText(file.sha256);
+      toast.success("SHA-256 copied");
+    } catch {
+      toast.error("Couldn't copy the SHA-256");
+    }
+  };
+
+  return (
+    <div className={`bg-base-content/10 rounded px-2 py-1 text-sm ${className}`}>
+      {previewUrl &&
+        (file.mimeType.startsWith("video/") ? (
+          <video src={previewUrl} controls preload="metadata" className="sm:max-w-[240px] rounded-md my-1" />
+        ) : (
+          <img src={previewUrl} alt={file.originalName} className="sm:max-w-[200px] rounded-md my-1" />
+        ))}
+      <div className="flex items-center gap-2">
+        <FileText className="size-4 shrink-0" />
+        <a href={`${SERVER_URL}${file.url}`} download={file.originalName} className="link truncate" title={file.originalName}>
+          {file.originalName}
+        </a>
+        <span className="text-xs opacity-70 whitespace-nowrap">{formatFileSize(file.size)}</span>
+        {file.sha256 && (
+          <button
+            type="button"
+            className="btn btn-ghost btn-xs btn-circle ml-auto"
+            title="File details"
+            onClick={() => setShowDetails((shown) => !shown)}
+          >
+            <Info className="size-3.5" />
+          </button>
+        )}
+      </div>
+      {showDetails && (
+        <div className="mt-2 text-xs">
+          <div className="font-medium opacity-70">SHA-256</div>
+          <div className="flex items-start gap-1">
+            <code className="font-mono break-all">{file.sha256}</code>
+            <button type="button" className="btn btn-ghost btn-xs btn-circle" title="Copy SHA-256" onClick={copyHash}>
+              <Copy className="size-3" />
+            </button>
+          </div>
+          <p className="mt-1 opacity-60">Verified by the server. Compare it with the sender&apos;s copy to confirm the file is authentic.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+export default FileAttachment;
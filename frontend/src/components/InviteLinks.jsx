@@ -0,0 +1,97 @@
+import { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { Copy, Link2, Trash2 } from "lucide-react";
+import { useChatStore } from "../store/useChatStore";
+
+const EXPIRY_OPTIONS = [
+  { hours: 1, label: "1 hour" },
+  { hours: 24, label: "1 day" },
+  { hours: 7 * 24, label: "7 days" },
+  { hours: 30 * 24, label: "30 days" },
+];
+
+const inviteUrl = (invite) => `${window.location.origin}/join/${invite.token}`;
+
+const InviteLinks = ({ roomId }) => {
+  const { invites, getInvites, createInvite, revokeInvite } = useChatStore();
+  const [expiresInHours, setExpiresInHours] = useState(7 * 24);
+  const [maxUses, setMaxUses] = useState("");
+
+  useEffect(() => {
+    getInvites(roomId);
+  }, [roomId, getInvites]);
+
+  const copyLink = async (invite) => {
+    await navigator.clipboard.writeText(inviteUrl(invite));
+    toast.success("Invite link copied");
+  };
+
+  const handleCreate = async () => {
+    const invite = await createInvite(roomId, {
+      expiresInHours,
+      maxUses: maxUses ? Number(maxUses) : undefined,
+    });
+    if (invite) {
+      setMaxUses("");
+      copyLink(invite);
+    }
+  };
+
+  return (
+    <div className="mb-4">
+      <div className="text-xs font-medium uppercase text-base-content/60 mb-2">Invite links</div>
+
+      <div className="flex gap-2 mb-2">
+        <select
+          className="select select-bordered select-sm"
+          value={expiresInHours}
+          onChange={(e) => setExpiresInHours(Number(e.target.value))}
+        >
+          {EXPIRY_OPTIONS.map((option) => (
+            <option key={option.hours} value={option.hours}>
+              Expires in {option.label}
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="1"
+          className="input input-bordered input-sm w-24"
+          placeholder="Max uses"
+          value={maxUses}
+          onChange={(e) => setMaxUses(e.target.value)}
+        />
+        <button className="btn btn-sm btn-primary flex-1" onClick={handleCreate}>
+          <Link2 className="size-4" />
+          Create
+        </button>
+      </div>
+
+      <div className="space-y-1">
+        {invites.map((invite) => (
+          <div key={invite._id} className="flex items-center gap-2 p-2 rounded-lg bg-base-200 text-sm">
+            <div className="flex-1 min-w-0">
+              <div className="truncate font-mono text-xs">{inviteUrl(invite)}</div>
+              <div className="text-xs text-base-content/60">
+                {invite.uses}
+                {invite.maxUses ? `/${invite.maxUses}` : ""} uses, expires{" "}
+                {new Date(invite.expiresAt).toLocaleString()}
+              </div>
+            </div>
+            <button className="btn btn-xs btn-ghost btn-circle" title="Copy link" onClick={() => copyLink(invite)}>
+              <Copy className="size-3" />
+            </button>
+            <button
+              className="btn btn-xs btn-ghost btn-circle text-error"
+              title="Revoke link"
+              onClick={() => revokeInvite(roomId, invite._id)}
+            >
+              <Trash2 className="size-3" />
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+export default InviteLinks;
@@ -0,0 +1,45 @@
+import { MessageSquareReply, MoreVertical, Pencil, Trash2 } from "lucide-react";
+import { useChatStore } from "../store/useChatStore";
+
+const MessageActions = ({ message, isOwnMessage, onEdit }) => {
+  const { deleteMessage, openThread } = useChatStore();
+
+  return (
+    <div className={`dropdown ${isOwnMessage ? "dropdown-end" : ""}`}>
+      <button tabIndex={0} className="btn btn-ghost btn-xs btn-circle opacity-50 hover:opacity-100">
+        <MoreVertical className="size-3" />
+      </button>
+      <ul tabIndex={0} className="dropdown-content menu menu-sm bg-base-200 rounded-box z-10 w-44 p-1 shadow">
+        <li>
+          <button onClick={() => openThread(message._id)}>
+            <MessageSquareReply className="size-4" />
+            Reply in thread
+          </button>
+        </li>
+        {isOwnMessage && message.text && (
+          <li>
+            <button onClick={() => onEdit(message)}>
+              <Pencil className="size-4" />
+              Edit
+            </button>
+          </li>
+        )}
+        <li>
+          <button onClick={() => deleteMessage(message._id, "me")}>
+            <Trash2 className="size-4" />
+            Delete for me
+          </button>
+        </li>
+        {isOwnMessage && (
+          <li>
+            <button className="text-error" onClick={() => deleteMessage(message._id, "everyone")}>
+              <Trash2 className="size-4" />
+              Delete for everyone
+            </button>
+          </li>
+        )}
+      </ul>
+    </div>
+  );
+};
+export default MessageActions;
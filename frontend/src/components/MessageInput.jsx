@@ -13,8 +13,8 @@ const MessageInput = () => {
   const [transferProgress, setTransferProgress] = useState(0);
   const imageInputRef = useRef(null);
   const fileInputRef = useRef(null);
-  const { sendMessage } = useChatStore();
-  const { selectedUser } = useChatStore();
+  const { sendMessage, notifyTyping, stopTyping } = useChatStore();
+  const { selectedUser, selectedRoom } = useChatStore();
   const { authUser } = useAuthStore();
 
   useEffect(() => {
@@ -31,6 +31,15 @@ const MessageInput = () => {
       toast.success("File sent successfully");
     };
     
+    const handleResumed = () => {
+      toast.success("Resuming earlier upload");
+    };
+    
+    const handleCorrupted = () => {
+      setTransferProgress(0);
+      toast.error("The file was corrupted in transit, sending it again");
+    };
+    
     const handleError = (data) => {
       setIsTransferring(false);
       setTransferProgress(0);
@@ -39,12 +48,16 @@ const MessageInput = () => {
     
     fileTransfer
       .on('progress', handleProgress)
+      .on('resumed', handleResumed)
+      .on('corrupted', handleCorrupted)
       .on('complete', handleComplete)
       .on('error', handleError);
     
     return () => {
       fileTransfer
         .off('progress', handleProgress)
+        .off('resumed', handleResumed)
+        .off('corrupted', handleCorrupted)
         .off('complete', handleComplete)
         .off('error', handleError);
     };
@@ -102,13 +115,12 @@ const MessageInput = () => {
         setIsTransferring(true);
         setTransferProgress(0);
         
-        // Send a message about the file
-        await sendMessage({
-          text: `Sending file: ${fileAttachment.name} (${(fileAttachment.size / 1024).toFixed(2)} KB)`,
-        });
-        
-        // Start file transfer in background
-        fileTransfer.sendFile(fileAttachment, selectedUser._id);
+        // Upload the file in the background; the file message arrives over
+        // the socket once the upload completes
+        fileTransfer.sendFile(
+          fileAttachment,
+          selectedRoom ? { chatRoomId: selectedRoom._id } : { receiverId: selectedUser._id }
+        );
       } else {
         // Send regular message with optional image
         await sendMessage({
@@ -188,7 +200,11 @@ const MessageInput = () => {
             className="w-full input input-bordered rounded-lg input-sm sm:input-md"
             placeholder="Type a message..."
             value={text}
-            onChange={(e) => setText(e.target.value)}
+            onChange={(e) => {
+              setText(e.target.value);
+              if (e.target.value) notifyTyping();
+              else stopTyping();
+            }}
             disabled={isTransferring}
           />
           <input
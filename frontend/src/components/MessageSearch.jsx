@@ -0,0 +1,191 @@
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { Loader, Search, X } from "lucide-react";
+import { useChatStore } from "../store/useChatStore";
+import { useAuthStore } from "../store/useAuthStore";
+import { mediaUrl } from "../lib/config";
+
+const formatResultDate = (date) =>
+  new Date(date).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
+
+const MessageSearch = ({ onClose }) => {
+  const { users, rooms, searchResults, isSearching, searchMessages, jumpToMessage } = useChatStore();
+  const { authUser } = useAuthStore();
+  const navigate = useNavigate();
+  const [query, setQuery] = useState("");
+  const [filters, setFilters] = useState({
+    senderId: "",
+    chatRoomId: "",
+    from: "",
+    to: "",
+    hasFile: false,
+    hasImage: false,
+  });
+
+  const updateFilter = (name, value) => setFilters((current) => ({ ...current, [name]: value }));
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+
+    const params = { q: query.trim() };
+    if (filters.senderId) params.senderId = filters.senderId;
+    if (filters.chatRoomId) params.chatRoomId = filters.chatRoomId;
+    if (filters.from) params.from = new Date(filters.from).toISOString();
+    // Include the whole "to" day
+    if (filters.to) params.to = new Date(`${filters.to}T23:59:59.999`).toISOString();
+    if (filters.hasFile) params.hasFile = true;
+    if (filters.hasImage) params.hasImage = true;
+
+    searchMessages(params);
+  };
+
+  const openResult = (result) => {
+    jumpToMessage(result);
+    navigate("/");
+    onClose();
+  };
+
+  const conversationLabel = (result) => {
+    if (result.chatRoomId) return result.chatRoomId.name;
+    const partner = result.senderId._id === authUser._id ? result.receiverId : result.senderId;
+    return `Chat with ${partner.fullName}`;
+  };
+
+  return (
+    <div className="modal modal-open">
+      <div className="modal-box max-w-2xl">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="font-bold text-lg">Search messages</h3>
+          <button className="btn btn-sm btn-ghost btn-circle" onClick={onClose}>
+            <X className="size-4" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSearch} className="space-y-3">
+          <div className="flex gap-2">
+            <input
+              type="text"
+              className="input input-bordered input-sm w-full"
+              placeholder="Search for words in messages..."
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              autoFocus
+            />
+            <button type="submit" className="btn btn-sm btn-primary" disabled={!query.trim() || isSearching}>
+              <Search className="size-4" />
+            </button>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3 text-sm">
+            <select
+              className="select select-bordered select-sm"
+              value={filters.senderId}
+              onChange={(e) => updateFilter("senderId", e.target.value)}
+            >
+              <option value="">Anyone</option>
+              <option value={authUser._id}>You</option>
+              {users.map((user) => (
+                <option key={user._id} value={user._id}>
+                  {user.fullName}
+                </option>
+              ))}
+            </select>
+            <select
+              className="select select-bordered select-sm"
+              value={filters.chatRoomId}
+              onChange={(e) => updateFilter("chatRoomId", e.target.value)}
+            >
+              <option value="">All conversations</option>
+              {rooms.map((room) => (
+                <option key={room._id} value={room._id}>
+                  {room.name}
+                </option>
+              ))}
+            </select>
+            <label className="flex items-center gap-1">
+              From
+              <input
+                type="date"
+                className="input input-bordered input-sm"
+                value={filters.from}
+                onChange={(e) => updateFilter("from", e.target.value)}
+              />
+            </label>
+            <label className="flex items-center gap-1">
+              To
+              <input
+                type="date"
+                className="input input-bordered input-sm"
+                value={filters.to}
+                onChange={(e) => updateFilter("to", e.target.value)}
+              />
+            </label>
+            <label className="flex items-center gap-1 cursor-pointer">
+              <input
+                type="checkbox"
+                className="checkbox checkbox-sm"
+                checked={filters.hasFile}
+                onChange={(e) => updateFilter("hasFile", e.target.checked)}
+              />
+              Has file
+            </label>
+            <label className="flex items-center gap-1 cursor-pointer">
+              <input
+                type="checkbox"
+                className="checkbox checkbox-sm"
+                checked={filters.hasImage}
+                onChange={(e) => updateFilter("hasImage", e.target.checked)}
+              />
+              Has image
+            </label>
+          </div>
+        </form>
+
+        <div className="mt-4 max-h-96 overflow-y-auto space-y-1">
+          {isSearching ? (
+            <div className="flex justify-center py-6">
+              <Loader className="size-6 animate-spin" />
+            </div>
+          ) : (
+            searchResults.map((result) => (
+              <button
+                key={result._id}
+                onClick={() => openResult(result)}
+                className="w-full text-left p-2 rounded-lg hover:bg-base-200 flex gap-3"
+              >
+                <img
+                  src={mediaUrl(result.senderId.profilePic) || "/avatar.png"}
+                  alt={result.senderId.fullName}
+                  className="size-8 rounded-full object-cover"
+                />
+                <div className="min-w-0 flex-1">
+                  <div className="flex justify-between text-xs text-base-content/70">
+                    <span className="truncate">
+                      {result.senderId._id === authUser._id ? "You" : result.senderId.fullName} ·{" "}
+                      {conversationLabel(result)}
+                    </span>
+                    <span>{formatResultDate(result.createdAt)}</span>
+                  </div>
+                  <p className="text-sm truncate">
+                    {result.snippet.map((segment, index) =>
+                      segment.highlight ? (
+                        <mark key={index} className="bg-primary/30 text-base-content rounded px-0.5">
+                          {segment.text}
+                        </mark>
+                      ) : (
+                        <span key={index}>{segment.text}</span>
+                      )
+                    )}
+                  </p>
+                </div>
+              </button>
+            ))
+          )}
+        </div>
+      </div>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>
+  );
+};
+export default MessageSearch;
@@ -0,0 +1,34 @@
+import { Check, CheckCheck } from "lucide-react";
+import { useChatStore } from "../store/useChatStore";
+import { getSenderId } from "../lib/utils";
+
+// Check marks on your own messages: one when sent, two when delivered to every
+// recipient, highlighted once everyone has read it
+const MessageStatus = ({ message }) => {
+  const { selectedRoom, selectedUser } = useChatStore();
+  const senderId = getSenderId(message);
+  const recipients = selectedRoom
+    ? selectedRoom.participants.filter((participant) => participant._id !== senderId)
+    : [selectedUser];
+
+  const readers = recipients.filter((recipient) => message.readBy?.includes(recipient._id));
+  const isRead = recipients.length > 0 && readers.length === recipients.length;
+  const isDelivered = isRead || recipients.every((recipient) => message.deliveredTo?.includes(recipient._id));
+
+  const label = isRead ? "Read" : isDelivered ? "Delivered" : "Sent";
+  const tip =
+    selectedRoom && readers.length > 0
+      ? `Read by ${readers.map((reader) => reader.fullName).join(", ")}`
+      : label;
+
+  return (
+    <span className="tooltip tooltip-left" data-tip={tip}>
+      {isDelivered ? (
+        <CheckCheck className={`size-3.5 ${isRead ? "text-info" : "opacity-50"}`} aria-label={label} />
+      ) : (
+        <Check className="size-3.5 opacity-50" aria-label={label} />
+      )}
+    </span>
+  );
+};
+export default MessageStatus;
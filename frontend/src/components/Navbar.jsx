@@ -1,55 +1,70 @@
 import { Link } from "react-router-dom";
 import { useAuthStore } from "../store/useAuthStore";
-import { LogOut, MessageSquare, Settings, User } from "lucide-react";
+import { LogOut, MessageSquare, Search, Settings, User } from "lucide-react";
+import { useState } from "react";
+import MessageSearch from "./MessageSearch";
 
 const Navbar = () => {
   const { logout, authUser } = useAuthStore();
+  const [isSearchOpen, setIsSearchOpen] = useState(false);
 
   return (
-    <header
-      className="bg-base-100 border-b border-base-300 fixed w-full top-0 z-40 
-    backdrop-blur-lg bg-base-100/80"
-    >
-      <div className="container mx-auto px-4 h-16">
-        <div className="flex items-center justify-between h-full">
-          <div className="flex items-center gap-8">
-            <Link to="/" className="flex items-center gap-2.5 hover:opacity-80 transition-all">
-              <div className="size-9 rounded-lg bg-primary/10 flex items-center justify-center">
-                <MessageSquare className="w-5 h-5 text-primary" />
-              </div>
-              <h1 className="text-lg font-bold">Chatty</h1>
-            </Link>
-          </div>
+    <>
+      <header
+        className="bg-base-100 border-b border-base-300 fixed w-full top-0 z-40 
+      backdrop-blur-lg bg-base-100/80"
+      >
+        <div className="container mx-auto px-4 h-16">
+          <div className="flex items-center justify-between h-full">
+            <div className="flex items-center gap-8">
+              <Link to="/" className="flex items-center gap-2.5 hover:opacity-80 transition-all">
+                <div className="size-9 rounded-lg bg-primary/10 flex items-center justify-center">
+                  <MessageSquare className="w-5 h-5 text-primary" />
+                </div>
+                <h1 className="text-lg font-bold">Chatty</h1>
+              </Link>
+            </div>
+
+            <div className="flex items-center gap-2">
+              {authUser && (
+                <button className="btn btn-sm gap-2" onClick={() => setIsSearchOpen(true)}>
+                  <Search className="w-4 h-4" />
+                  <span className="hidden sm:inline">Search</span>
+                </button>
+              )}
 
-          <div className="flex items-center gap-2">
-            <Link
-              to={"/settings"}
-              className={`
-              btn btn-sm gap-2 transition-colors
+              <Link
+                to={"/settings"}
+                className={`
+                btn btn-sm gap-2 transition-colors
               
-              `}
-            >
-              <Settings className="w-4 h-4" />
-              <span className="hidden sm:inline">Settings</span>
-            </Link>
+                `}
+              >
+                <Settings className="w-4 h-4" />
+                <span className="hidden sm:inline">Settings</span>
+              </Link>
 
-            {authUser && (
-              <>
-                <Link to={"/profile"} className={`btn btn-sm gap-2`}>
-                  <User className="size-5" />
-                  <span className="hidden sm:inline">Profile</span>
-                </Link>
+              {authUser && (
+                <>
+                  <Link to={"/profile"} className={`btn btn-sm gap-2`}>
+                    <User className="size-5" />
+                    <span className="hidden sm:inline">Profile</span>
+                  </Link>
 
-                <button className="flex gap-2 items-center" onClick={logout}>
-                  <LogOut className="size-5" />
-                  <span className="hidden sm:inline">Logout</span>
-                </button>
-              </>
-            )}
+                  <button className="flex gap-2 items-center" onClick={logout}>
+                    <LogOut className="size-5" />
+                    <span className="hidden sm:inline">Logout</span>
+                  </button>
+                </>
+              )}
+            </div>
           </div>
         </div>
-      </div>
-    </header>
+      </header>
+
+      {/* Rendered outside the header: its backdrop blur would confine a fixed modal */}
+      {isSearchOpen && <MessageSearch onClose={() => setIsSearchOpen(false)} />}
+    </>
   );
 };
 export default Navbar;
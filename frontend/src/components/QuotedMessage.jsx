@@ -0,0 +1,22 @@
+import { useAuthStore } from "../store/useAuthStore";
+import { useChatStore } from "../store/useChatStore";
+import { getSenderId, messagePreview } from "../lib/utils";
+
+const QuotedMessage = ({ message, className = "" }) => {
+  const { authUser } = useAuthStore();
+  const { getConversationMember } = useChatStore();
+
+  // Quotes may arrive as a bare id until the parent is loaded
+  if (!message || typeof message !== "object") return null;
+
+  const senderId = getSenderId(message);
+  const senderName = senderId === authUser._id ? "You" : getConversationMember(senderId)?.fullName;
+
+  return (
+    <div className={`border-l-4 border-primary/60 bg-base-content/10 rounded px-2 py-1 text-sm ${className}`}>
+      <div className="font-medium text-xs opacity-70">{senderName}</div>
+      <p className={`truncate ${message.isDeleted ? "italic opacity-60" : ""}`}>{messagePreview(message)}</p>
+    </div>
+  );
+};
+export default QuotedMessage;
@@ -0,0 +1,47 @@
+import { SmilePlus } from "lucide-react";
+import { useChatStore } from "../store/useChatStore";
+import { useAuthStore } from "../store/useAuthStore";
+import { QUICK_REACTIONS } from "../constants";
+
+const ReactionBar = ({ message, isOwnMessage }) => {
+  const { toggleReaction } = useChatStore();
+  const { authUser } = useAuthStore();
+  const reactions = message.reactions || [];
+
+  return (
+    <div className={`flex flex-wrap items-center gap-1 mt-1 ${isOwnMessage ? "justify-end" : ""}`}>
+      {reactions.map((reaction) => {
+        const reactedByMe = reaction.userIds.includes(authUser._id);
+
+        return (
+          <button
+            key={reaction.emoji}
+            onClick={() => toggleReaction(message._id, reaction.emoji)}
+            className={`badge gap-1 cursor-pointer ${reactedByMe ? "badge-primary" : "badge-ghost"}`}
+          >
+            <span>{reaction.emoji}</span>
+            <span className="text-xs">{reaction.count}</span>
+          </button>
+        );
+      })}
+
+      <div className={`dropdown dropdown-top ${isOwnMessage ? "dropdown-end" : ""}`}>
+        <button tabIndex={0} className="btn btn-ghost btn-xs btn-circle opacity-50 hover:opacity-100">
+          <SmilePlus className="size-3" />
+        </button>
+        <div tabIndex={0} className="dropdown-content bg-base-200 rounded-box z-10 p-1 shadow flex gap-1">
+          {QUICK_REACTIONS.map((emoji) => (
+            <button
+              key={emoji}
+              onClick={() => toggleReaction(message._id, emoji)}
+              className="btn btn-ghost btn-sm text-lg px-1"
+            >
+              {emoji}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+export default ReactionBar;
@@ -0,0 +1,230 @@
+import { useState } from "react";
+import { Camera, Crown, LogOut, UserMinus, Users, X } from "lucide-react";
+import { useAuthStore } from "../store/useAuthStore";
+import { useChatStore } from "../store/useChatStore";
+import { getRoomRole } from "../lib/utils";
+import { mediaUrl } from "../lib/config";
+import InviteLinks from "./InviteLinks";
+
+const ROLE_LABELS = {
+  owner: "Owner",
+  admin: "Admin",
+  moderator: "Moderator",
+  member: "Member",
+};
+
+const RoomSettingsModal = ({ onClose }) => {
+  const {
+    selectedRoom: room,
+    users,
+    isUpdatingRoom,
+    updateRoom,
+    addParticipants,
+    removeParticipant,
+    setParticipantRole,
+    transferOwnership,
+    leaveRoom,
+  } = useChatStore();
+  const { authUser } = useAuthStore();
+  const [name, setName] = useState(room.name);
+  const [newMemberIds, setNewMemberIds] = useState([]);
+
+  const myRole = getRoomRole(room, authUser._id);
+  const canEdit = myRole !== "member";
+  const canManageMembers = myRole === "owner" || myRole === "admin";
+  const candidates = users.filter((user) => !room.participants.some((participant) => participant._id === user._id));
+
+  // Mirrors the server rules: only the owner manages admins
+  const canManage = (role) => canManageMembers && role !== "owner" && (myRole === "owner" || role !== "admin");
+
+  const handleAvatarChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.readAsDataURL(file);
+    reader.onload = () => updateRoom(room._id, { avatar: reader.result });
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    if (!name.trim() || name.trim() === room.name) return;
+    updateRoom(room._id, { name: name.trim() });
+  };
+
+  const handleAddMembers = async () => {
+    if (await addParticipants(room._id, newMemberIds)) setNewMemberIds([]);
+  };
+
+  const toggleNewMember = (userId) => {
+    setNewMemberIds((current) =>
+      current.includes(userId) ? current.filter((id) => id !== userId) : [...current, userId]
+    );
+  };
+
+  const handleLeave = async () => {
+    if (await leaveRoom(room._id)) onClose();
+  };
+
+  return (
+    <div className="modal modal-open">
+      <div className="modal-box">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="font-bold text-lg">Group settings</h3>
+          <button className="btn btn-sm btn-ghost btn-circle" onClick={onClose}>
+            <X className="size-4" />
+          </button>
+        </div>
+
+        <div className="flex items-center gap-4 mb-4">
+          <div className="relative">
+            {room.avatar ? (
+              <img src={mediaUrl(room.avatar)} alt={room.name} className="size-16 rounded-full object-cover" />
+            ) : (
+              <div className="size-16 rounded-full bg-primary/10 flex items-center justify-center">
+                <Users className="size-8 text-primary" />
+              </div>
+            )}
+            {canEdit && (
+              <label className="absolute bottom-0 right-0 btn btn-xs btn-circle btn-primary">
+                <Camera className="size-3" />
+                <input
+                  type="file"
+                  className="hidden"
+                  accept="image/*"
+                  onChange={handleAvatarChange}
+                  disabled={isUpdatingRoom}
+                />
+              </label>
+            )}
+          </div>
+
+          {canEdit ? (
+            <form onSubmit={handleRename} className="flex-1 flex gap-2">
+              <input
+                type="text"
+                className="input input-bordered input-sm flex-1"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+              />
+              <button
+                type="submit"
+                className="btn btn-sm btn-primary"
+                disabled={isUpdatingRoom || !name.trim() || name.trim() === room.name}
+              >
+                Save
+              </button>
+            </form>
+          ) : (
+            <h4 className="font-medium text-lg">{room.name}</h4>
+          )}
+        </div>
+
+        <div className="text-xs font-medium uppercase text-base-content/60 mb-2">
+          {room.participants.length} members
+        </div>
+        <div className="max-h-64 overflow-y-auto space-y-1 mb-4">
+          {room.participants.map((participant) => {
+            const role = getRoomRole(room, participant._id);
+            const isMe = participant._id === authUser._id;
+
+            return (
+              <div key={participant._id} className="flex items-center gap-3 p-2 rounded-lg hover:bg-base-200">
+                <img
+                  src={mediaUrl(participant.profilePic) || "/avatar.png"}
+                  alt={participant.fullName}
+                  className="size-8 object-cover rounded-full"
+                />
+                <span className="flex-1 truncate">
+                  {participant.fullName}
+                  {isMe && " (you)"}
+                </span>
+
+                {!isMe && canManage(role) ? (
+                  <select
+                    className="select select-bordered select-xs"
+                    value={role}
+                    disabled={isUpdatingRoom}
+                    onChange={(e) => setParticipantRole(room._id, participant._id, e.target.value)}
+                  >
+                    {myRole === "owner" && <option value="admin">Admin</option>}
+                    <option value="moderator">Moderator</option>
+                    <option value="member">Member</option>
+                  </select>
+                ) : (
+                  <span className={`badge badge-sm ${role === "member" ? "badge-ghost" : "badge-primary"}`}>
+                    {ROLE_LABELS[role]}
+                  </span>
+                )}
+
+                {!isMe && myRole === "owner" && (
+                  <button
+                    className="btn btn-xs btn-ghost btn-circle"
+                    title="Make owner"
+                    disabled={isUpdatingRoom}
+                    onClick={() => transferOwnership(room._id, participant._id)}
+                  >
+                    <Crown className="size-3" />
+                  </button>
+                )}
+                {!isMe && canManage(role) && (
+                  <button
+                    className="btn btn-xs btn-ghost btn-circle text-error"
+                    title="Remove from group"
+                    disabled={isUpdatingRoom}
+                    onClick={() => removeParticipant(room._id, participant._id)}
+                  >
+                    <UserMinus className="size-3" />
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        {canManageMembers && candidates.length > 0 && (
+          <div className="mb-4">
+            <div className="text-xs font-medium uppercase text-base-content/60 mb-2">Add members</div>
+            <div className="max-h-40 overflow-y-auto space-y-1 mb-2">
+              {candidates.map((user) => (
+                <label
+                  key={user._id}
+                  className="flex items-center gap-3 p-2 rounded-lg hover:bg-base-200 cursor-pointer"
+                >
+                  <input
+                    type="checkbox"
+                    className="checkbox checkbox-sm"
+                    checked={newMemberIds.includes(user._id)}
+                    onChange={() => toggleNewMember(user._id)}
+                  />
+                  <img
+                    src={mediaUrl(user.profilePic) || "/avatar.png"}
+                    alt={user.fullName}
+                    className="size-8 object-cover rounded-full"
+                  />
+                  <span className="truncate">{user.fullName}</span>
+                </label>
+              ))}
+            </div>
+            <button
+              className="btn btn-sm btn-primary w-full"
+              disabled={isUpdatingRoom || newMemberIds.length === 0}
+              onClick={handleAddMembers}
+            >
+              Add {newMemberIds.length > 0 ? newMemberIds.length : ""} selected
+            </button>
+          </div>
+        )}
+
+        {canManageMembers && <InviteLinks roomId={room._id} />}
+
+        <button className="btn btn-sm btn-outline btn-error w-full" disabled={isUpdatingRoom} onClick={handleLeave}>
+          <LogOut className="size-4" />
+          Leave group
+        </button>
+      </div>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>
+  );
+};
+export default RoomSettingsModal;
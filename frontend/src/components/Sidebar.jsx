@@ -2,18 +2,70 @@ import { useEffect, useState } from "react";
 import { useChatStore } from "../store/useChatStore";
 import { useAuthStore } from "../store/useAuthStore";
 import SidebarSkeleton from "./skeletons/SidebarSkeleton";
-import { Users } from "lucide-react";
+import { mediaUrl } from "../lib/config";
+import { Plus, Users } from "lucide-react";
+import CreateGroupModal from "./CreateGroupModal";
+import {
+  STATUS_COLORS,
+  STATUS_LABELS,
+  activeCustomStatus,
+  getSenderId,
+  getUserPresence,
+  messagePreview,
+} from "../lib/utils";
 
 const Sidebar = () => {
-  const { getUsers, users, selectedUser, setSelectedUser, isUsersLoading } = useChatStore();
+  const {
+    getUsers,
+    users,
+    selectedUser,
+    setSelectedUser,
+    isUsersLoading,
+    getRooms,
+    rooms,
+    selectedRoom,
+    setSelectedRoom,
+    subscribeToRooms,
+    unsubscribeFromRooms,
+  } = useChatStore();
 
-  const { onlineUsers } = useAuthStore();
+  const { onlineUsers, authUser, presence } = useAuthStore();
   const [showOnlineOnly, setShowOnlineOnly] = useState(false);
+  const [isCreateGroupOpen, setIsCreateGroupOpen] = useState(false);
 
   useEffect(() => {
     getUsers();
   }, [getUsers]);
 
+  useEffect(() => {
+    getRooms();
+    subscribeToRooms();
+
+    return () => unsubscribeFromRooms();
+  }, [getRooms, subscribeToRooms, unsubscribeFromRooms]);
+
+  const roomPreview = (room) => {
+    const { lastMessage } = room;
+    if (!lastMessage) return "No messages yet";
+    if (lastMessage.isSystemMessage) return lastMessage.text;
+
+    const senderId = getSenderId(lastMessage);
+    const sender =
+      senderId === authUser._id
+        ? "You"
+        : lastMessage.senderId?.fullName ||
+          room.participants.find((participant) => participant._id === senderId)?.fullName;
+
+    return sender ? `${sender}: ${messagePreview(lastMessage)}` : messagePreview(lastMessage);
+  };
+
+  // Custom status when set, otherwise the presence status
+  const userStatusText = (user) => {
+    const userPresence = getUserPresence(presence, user);
+    const customStatus = activeCustomStatus(userPresence.customStatus);
+    return customStatus ? `${customStatus.emoji} ${customStatus.text}`.trim() : STATUS_LABELS[userPresence.status];
+  };
+
   // const filteredUsers = showOnlineOnly
   //   ? (users || []).filter((user) => onlineUsers.includes(user._id))
   //   : users || [];
@@ -48,6 +100,47 @@ const Sidebar = () => {
       </div>
 
       <div className="overflow-y-auto w-full py-3">
+        <div className="px-5 pb-2 flex items-center justify-between">
+          <span className="text-xs font-medium uppercase text-zinc-500 hidden lg:block">Groups</span>
+          <button
+            className="btn btn-ghost btn-xs gap-1 mx-auto lg:mx-0"
+            onClick={() => setIsCreateGroupOpen(true)}
+          >
+            <Plus className="size-4" />
+            <span className="hidden lg:inline">New group</span>
+          </button>
+        </div>
+
+        {rooms.map((room) => (
+          <button
+            key={room._id}
+            onClick={() => setSelectedRoom(room)}
+            className={`
+              w-full p-3 flex items-center gap-3
+              hover:bg-base-300 transition-colors
+              ${selectedRoom?._id === room._id ? "bg-base-300 ring-1 ring-base-300" : ""}
+            `}
+          >
+            {room.avatar ? (
+              <img src={mediaUrl(room.avatar)} alt={room.name} className="mx-auto lg:mx-0 size-12 object-cover rounded-full" />
+            ) : (
+              <div className="mx-auto lg:mx-0 size-12 rounded-full bg-primary/10 flex items-center justify-center">
+                <Users className="size-6 text-primary" />
+              </div>
+            )}
+
+            {/* Room info - only visible on larger screens */}
+            <div className="hidden lg:block text-left min-w-0">
+              <div className="font-medium truncate">{room.name}</div>
+              <div className="text-sm text-zinc-400 truncate">{roomPreview(room)}</div>
+            </div>
+          </button>
+        ))}
+
+        <div className="px-5 pt-3 pb-2 text-xs font-medium uppercase text-zinc-500 hidden lg:block">
+          Direct messages
+        </div>
+
         {filteredUsers?.map((user) => (
           <button
             key={user._id}
@@ -60,14 +153,14 @@ const Sidebar = () => {
           >
             <div className="relative mx-auto lg:mx-0">
               <img
-                src={user.profilePic || "/avatar.png"}
+                src={mediaUrl(user.profilePic) || "/avatar.png"}
                 alt={user.name}
                 className="size-12 object-cover rounded-full"
               />
               {onlineUsers.includes(user._id) && (
                 <span
-                  className="absolute bottom-0 right-0 size-3 bg-green-500 
-                  rounded-full ring-2 ring-zinc-900"
+                  className={`absolute bottom-0 right-0 size-3 ${STATUS_COLORS[presence[user._id]?.status]}
+                  rounded-full ring-2 ring-zinc-900`}
                 />
               )}
             </div>
@@ -75,9 +168,7 @@ const Sidebar = () => {
             {/* User info - only visible on larger screens */}
             <div className="hidden lg:block text-left min-w-0">
               <div className="font-medium truncate">{user.fullName}</div>
-              <div className="text-sm text-zinc-400">
-                {onlineUsers.includes(user._id) ? "Online" : "Offline"}
-              </div>
+              <div className="text-sm text-zinc-400 truncate">{userStatusText(user)}</div>
             </div>
           </button>
         ))}
@@ -86,6 +177,8 @@ const Sidebar = () => {
           <div className="text-center text-zinc-500 py-4">No online users</div>
         )}
       </div>
+
+      {isCreateGroupOpen && <CreateGroupModal onClose={() => setIsCreateGroupOpen(false)} />}
     </aside>
   );
 };
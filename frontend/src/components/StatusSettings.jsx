@@ -0,0 +1,112 @@
+import { useState } from "react";
+import { useAuthStore } from "../store/useAuthStore";
+import { activeCustomStatus } from "../lib/utils";
+
+const EXPIRY_OPTIONS = [
+  { minutes: 30, label: "30 minutes" },
+  { minutes: 60, label: "1 hour" },
+  { minutes: 4 * 60, label: "4 hours" },
+  { minutes: 24 * 60, label: "Today" },
+  { minutes: 0, label: "Don't clear" },
+];
+
+const StatusSettings = () => {
+  const { authUser, updateStatus, updatePrivacy, isUpdatingStatus } = useAuthStore();
+  const currentStatus = activeCustomStatus(authUser.customStatus);
+  const [emoji, setEmoji] = useState(currentStatus?.emoji || "");
+  const [text, setText] = useState(currentStatus?.text || "");
+  const [expiresInMinutes, setExpiresInMinutes] = useState(0);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    updateStatus({
+      customStatus: { emoji, text, expiresInMinutes: expiresInMinutes || undefined },
+    });
+  };
+
+  const clearStatus = () => {
+    setEmoji("");
+    setText("");
+    updateStatus({ customStatus: null });
+  };
+
+  return (
+    <div className="bg-base-300 rounded-xl p-6 space-y-4">
+      <h2 className="text-lg font-medium">Status</h2>
+
+      <form onSubmit={handleSubmit} className="space-y-2">
+        <div className="flex gap-2">
+          <input
+            type="text"
+            className="input input-bordered input-sm w-16 text-center"
+            placeholder="🙂"
+            value={emoji}
+            maxLength={16}
+            onChange={(e) => setEmoji(e.target.value)}
+          />
+          <input
+            type="text"
+            className="input input-bordered input-sm flex-1"
+            placeholder="What's your status?"
+            value={text}
+            maxLength={100}
+            onChange={(e) => setText(e.target.value)}
+          />
+        </div>
+        <div className="flex gap-2">
+          <select
+            className="select select-bordered select-sm flex-1"
+            value={expiresInMinutes}
+            onChange={(e) => setExpiresInMinutes(Number(e.target.value))}
+          >
+            {EXPIRY_OPTIONS.map((option) => (
+              <option key={option.minutes} value={option.minutes}>
+                Clear after: {option.label}
+              </option>
+            ))}
+          </select>
+          {currentStatus && (
+            <button type="button" className="btn btn-sm btn-ghost" onClick={clearStatus} disabled={isUpdatingStatus}>
+              Clear
+            </button>
+          )}
+          <button
+            type="submit"
+            className="btn btn-sm btn-primary"
+            disabled={isUpdatingStatus || (!emoji.trim() && !text.trim())}
+          >
+            Save
+          </button>
+        </div>
+      </form>
+
+      <label className="flex items-center justify-between cursor-pointer text-sm">
+        <span>
+          Do not disturb
+          <span className="block text-xs text-zinc-400">Mute message notifications and show you as busy</span>
+        </span>
+        <input
+          type="checkbox"
+          className="toggle toggle-sm"
+          checked={authUser.doNotDisturb || false}
+          onChange={(e) => updateStatus({ doNotDisturb: e.target.checked })}
+          disabled={isUpdatingStatus}
+        />
+      </label>
+
+      <label className="flex items-center justify-between cursor-pointer text-sm">
+        <span>
+          Show when I was last seen
+          <span className="block text-xs text-zinc-400">When off, others only see you as offline</span>
+        </span>
+        <input
+          type="checkbox"
+          className="toggle toggle-sm"
+          checked={authUser.privacy?.showLastSeen !== false}
+          onChange={(e) => updatePrivacy({ showLastSeen: e.target.checked })}
+        />
+      </label>
+    </div>
+  );
+};
+export default StatusSettings;
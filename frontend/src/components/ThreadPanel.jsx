@@ -0,0 +1,100 @@
+import { useState } from "react";
+import { Loader, Send, X } from "lucide-react";
+import { useChatStore } from "../store/useChatStore";
+import { useAuthStore } from "../store/useAuthStore";
+import { formatMessageTime, getSenderId } from "../lib/utils";
+import { mediaUrl } from "../lib/config";
+import QuotedMessage from "./QuotedMessage";
+import ReactionBar from "./ReactionBar";
+
+const ThreadPanel = () => {
+  const { activeThread, isThreadLoading, closeThread, sendMessage, getConversationMember } = useChatStore();
+  const { authUser } = useAuthStore();
+  const [text, setText] = useState("");
+
+  const handleReply = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+
+    await sendMessage({ text: text.trim(), replyTo: activeThread.root._id });
+    setText("");
+  };
+
+  return (
+    <aside className="h-full w-80 border-l border-base-300 flex flex-col">
+      <div className="p-2.5 border-b border-base-300 flex items-center justify-between">
+        <div>
+          <h3 className="font-medium">Thread</h3>
+          {activeThread && (
+            <p className="text-xs text-base-content/70">
+              {activeThread.replyCount} {activeThread.replyCount === 1 ? "reply" : "replies"}
+            </p>
+          )}
+        </div>
+        <button onClick={closeThread}>
+          <X />
+        </button>
+      </div>
+
+      {isThreadLoading || !activeThread ? (
+        <div className="flex-1 flex items-center justify-center">
+          <Loader className="size-6 animate-spin" />
+        </div>
+      ) : (
+        <>
+          <div className="flex-1 overflow-y-auto p-3 space-y-3">
+            <QuotedMessage message={activeThread.root} />
+
+            {activeThread.replies.map((reply) => {
+              const senderId = getSenderId(reply);
+              const isOwnMessage = senderId === authUser._id;
+
+              return (
+                <div key={reply._id} className={`chat ${isOwnMessage ? "chat-end" : "chat-start"}`}>
+                  <div className="chat-header mb-1">
+                    <span className="text-xs font-medium mr-1">
+                      {isOwnMessage ? "You" : getConversationMember(senderId)?.fullName}
+                    </span>
+                    <time className="text-xs opacity-50">{formatMessageTime(reply.createdAt)}</time>
+                  </div>
+                  {reply.isDeleted ? (
+                    <div className="chat-bubble italic opacity-60">This message was deleted</div>
+                  ) : (
+                    <div className="chat-bubble flex flex-col gap-1">
+                      {reply.replyTo?._id !== activeThread.root._id && (
+                        <QuotedMessage message={reply.replyTo} />
+                      )}
+                      {reply.image && (
+                        <img src={mediaUrl(reply.image)} alt="Attachment" className="max-w-[160px] rounded-md" />
+                      )}
+                      {reply.text && <p>{reply.text}</p>}
+                    </div>
+                  )}
+                  {!reply.isDeleted && (
+                    <div className="chat-footer">
+                      <ReactionBar message={reply} isOwnMessage={isOwnMessage} />
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          <form onSubmit={handleReply} className="p-3 flex items-center gap-2 border-t border-base-300">
+            <input
+              type="text"
+              className="w-full input input-bordered rounded-lg input-sm"
+              placeholder="Reply in thread..."
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+            />
+            <button type="submit" className="btn btn-sm btn-circle" disabled={!text.trim()}>
+              <Send size={18} />
+            </button>
+          </form>
+        </>
+      )}
+    </aside>
+  );
+};
+export default ThreadPanel;
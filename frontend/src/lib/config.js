@@ -0,0 +1,15 @@
+// Where the browser finds the backend. The REST API and the socket.io
+// connection are both served by the backend's HTTP server (PORT); its UDP and
+// TCP servers only talk to the backend itself (see
+// backend/src/lib/network-config.js). By default that is the page's own
+// origin: the backend in production, and in development the Vite dev server,
+// which forwards both to the backend (see vite.config.js). Set
+// VITE_SERVER_URL to point the app at another backend.
+export const SERVER_URL = import.meta.env.VITE_SERVER_URL || window.location.origin;
+
+export const API_URL = `${SERVER_URL}/api`;
+
+// Images the backend stores itself come back as `/api/media/...` paths, which
+// live on the backend rather than next to the app. Other URLs (a CDN, a
+// Cloudinary link, a data URL) are used as they are.
+export const mediaUrl = (src) => (src?.startsWith("/api/") ? `${SERVER_URL}${src}` : src);
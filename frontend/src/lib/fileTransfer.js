@@ -1,16 +1,25 @@
 // fileTransfer.js - File transfer implementation using UDP and TCP with threading
 import networkManager from './networking';
+import { axiosInstance } from './axios';
+import { Sha256 } from './sha256';
 
 // Constants for file transfer
-const CHUNK_SIZE = 65536; // 64KB chunks for UDP
-const MAX_RETRY_COUNT = 3;
-const RETRY_TIMEOUT = 3000; // 3 seconds
+const UPLOAD_CHUNK_SIZE = 1024 * 1024; // 1MB per upload request
+const MAX_RETRY_COUNT = 8;
+const RETRY_TIMEOUT = 3000; // 3 seconds, doubled after each failed attempt
+const MAX_RETRY_TIMEOUT = 30000;
+// How many times an upload the server found corrupted is sent again
+const MAX_INTEGRITY_RETRY_COUNT = 2;
+
+// Unfinished uploads are remembered in localStorage under this prefix, so
+// sending the same file to the same conversation again resumes the upload
+const PENDING_UPLOAD_PREFIX = 'file-transfer:';
 
 /**
  * FileTransferManager handles sending and receiving files
- * Uses TCP for control messages and metadata
- * Uses UDP for actual file chunks (faster transfer)
- * Falls back to TCP for reliability when needed
+ * Sends files through resumable chunked uploads that survive dropped
+ * connections and server restarts, verified end to end with SHA-256
+ * Receives incoming transfers announced over the socket
  */
 export class FileTransferManager {
   constructor() {
@@ -54,9 +63,6 @@ export class FileTransferManager {
         const { type, data } = e.data;
         
         switch(type) {
-          case 'process-file':
-            processFile(data.fileId, data.file, data.receiverId);
-            break;
           case 'process-chunk':
             processChunk(data.transferId, data.chunk, data.chunkIndex, data.metadata);
             break;
@@ -66,107 +72,6 @@ export class FileTransferManager {
         }
       };
       
-      // Process a file for sending
-      function processFile(fileId, file, receiverId) {
-        const transferId = fileId + '-' + Date.now();
-        const totalChunks = Math.ceil(file.size / ${CHUNK_SIZE});
-        
-        // Store transfer information
-        activeTransfers.set(transferId, {
-          fileId,
-          fileName: file.name,
-          fileType: file.type,
-          fileSize: file.size,
-          receiverId,
-          totalChunks,
-          sentChunks: 0,
-          status: 'processing'
-        });
-        
-        // Send metadata via TCP (reliable)
-        self.postMessage({
-          type: 'send-metadata',
-          transferId,
-          metadata: {
-            transferId,
-            fileId,
-            fileName: file.name,
-            fileType: file.type,
-            fileSize: file.size,
-            totalChunks,
-            timestamp: Date.now()
-          },
-          receiverId
-        });
-        
-        // Start reading file in chunks
-        readFileChunks(transferId, file);
-      }
-      
-      // Read file in chunks and send each chunk
-      function readFileChunks(transferId, file) {
-        const transfer = activeTransfers.get(transferId);
-        if (!transfer || transfer.status === 'aborted') return;
-        
-        const fileReader = new FileReader();
-        let chunkIndex = 0;
-        
-        fileReader.onload = function(e) {
-          if (transfer.status === 'aborted') return;
-          
-          // Send chunk via UDP
-          self.postMessage({
-            type: 'send-chunk',
-            transferId,
-            chunkIndex,
-            chunk: e.target.result,
-            isLast: chunkIndex === transfer.totalChunks - 1,
-            receiverId: transfer.receiverId
-          });
-          
-          transfer.sentChunks++;
-          
-          // Update progress
-          self.postMessage({
-            type: 'progress-update',
-            transferId,
-            progress: Math.round((transfer.sentChunks / transfer.totalChunks) * 100)
-          });
-          
-          // Read next chunk
-          chunkIndex++;
-          if (chunkIndex < transfer.totalChunks) {
-            readNextChunk();
-          } else {
-            transfer.status = 'complete';
-            self.postMessage({
-              type: 'transfer-complete',
-              transferId,
-              success: true
-            });
-          }
-        };
-        
-        fileReader.onerror = function() {
-          transfer.status = 'error';
-          self.postMessage({
-            type: 'transfer-error',
-            transferId,
-            error: 'Error reading file'
-          });
-        };
-        
-        function readNextChunk() {
-          const start = chunkIndex * ${CHUNK_SIZE};
-          const end = Math.min(start + ${CHUNK_SIZE}, file.size);
-          const chunk = file.slice(start, end);
-          fileReader.readAsArrayBuffer(chunk);
-        }
-        
-        // Start reading the first chunk
-        readNextChunk();
-      }
-      
       // Process received chunk
       function processChunk(transferId, chunk, chunkIndex, metadata) {
         // In a real implementation, this would reassemble the file
@@ -212,31 +117,6 @@ export class FileTransferManager {
       const { type, ...data } = e.data;
       
       switch(type) {
-        case 'send-metadata':
-          this.sendFileMetadata(data.transferId, data.metadata, data.receiverId);
-          break;
-        case 'send-chunk':
-          this.sendFileChunk(data.transferId, data.chunkIndex, data.chunk, 
-                           data.isLast, data.receiverId);
-          break;
-        case 'progress-update':
-          this.emitEvent('progress', {
-            transferId: data.transferId,
-            progress: data.progress
-          });
-          break;
-        case 'transfer-complete':
-          this.emitEvent('complete', {
-            transferId: data.transferId,
-            success: data.success
-          });
-          break;
-        case 'transfer-error':
-          this.emitEvent('error', {
-            transferId: data.transferId,
-            error: data.error
-          });
-          break;
         case 'chunk-received':
           this.emitEvent('receive-progress', {
             transferId: data.transferId,
@@ -275,14 +155,6 @@ export class FileTransferManager {
           message.metadata
         );
         break;
-      case 'file-chunk-ack':
-        // Acknowledgment for a chunk
-        this.handleChunkAcknowledgment(
-          message.transferId,
-          message.chunkIndex,
-          message.status
-        );
-        break;
       case 'file-transfer-cancel':
         // Cancel a file transfer
         this.cancelTransfer(message.transferId);
@@ -291,148 +163,167 @@ export class FileTransferManager {
   }
 
   /**
-   * Send a file to another user
+   * Send a file to a user or chat room through a resumable upload. Progress,
+   * completion and failure are reported through the 'progress', 'complete'
+   * and 'error' events; 'resumed' fires when an earlier upload of the same
+   * file is picked up, and 'corrupted' when the server rejected the received
+   * file and it is being sent again.
    * @param {File} file - The file to send
-   * @param {string} receiverId - Recipient's user ID
+   * @param {Object} target - `{ receiverId }` or `{ chatRoomId }`
    * @returns {string} Transfer ID for tracking
    */
-  sendFile(file, receiverId) {
+  sendFile(file, target) {
     if (!this.initialized) this.init();
-    
-    const fileId = `file-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    
-    if (this.transferWorker) {
-      // Use worker for background processing
-      this.transferWorker.postMessage({
-        type: 'process-file',
-        data: {
-          fileId,
-          file,
-          receiverId
-        }
-      });
-    } else {
-      // Fallback to main thread processing
-      // This would implement similar logic to the worker
-      console.warn('Using main thread for file transfer - may affect performance');
-      // Implementation would mirror the worker's processFile function
-    }
-    
-    return fileId;
-  }
 
-  /**
-   * Send file metadata via TCP (reliable delivery)
-   */
-  sendFileMetadata(transferId, metadata, receiverId) {
-    networkManager.sendTcpMessage({
-      type: 'file-metadata',
-      metadata,
+    const pendingKey = `${PENDING_UPLOAD_PREFIX}${target.chatRoomId || target.receiverId}:` +
+      `${file.name}:${file.size}:${file.lastModified}`;
+    const transferId = localStorage.getItem(pendingKey) || crypto.randomUUID();
+    localStorage.setItem(pendingKey, transferId);
+
+    const transfer = {
       transferId,
-      receiverId
-    });
-    
-    // Store transfer information
-    this.transfers.set(transferId, {
-      ...metadata,
+      file,
+      target,
+      pendingKey,
       status: 'sending',
-      receiverId,
-      sentChunks: new Set(),
-      acknowledgedChunks: new Set(),
-      retries: new Map()
-    });
+      controller: new AbortController()
+    };
+    this.transfers.set(transferId, transfer);
+    this.uploadFile(transfer);
+
+    return transferId;
   }
 
   /**
-   * Send a file chunk via UDP (faster but less reliable)
+   * Upload a file chunk by chunk, asking the server where to continue after
+   * every failure. If the server finds that the file it received doesn't
+   * match the SHA-256 computed here, the upload starts over.
    */
-  sendFileChunk(transferId, chunkIndex, chunk, isLast, receiverId) {
-    const transfer = this.transfers.get(transferId);
-    if (!transfer || transfer.status !== 'sending') return;
-    
-    // Mark chunk as sent
-    transfer.sentChunks.add(chunkIndex);
-    
-    // Send via UDP for speed
-    networkManager.sendUdpMessage({
-      type: 'file-chunk',
-      transferId,
-      chunkIndex,
-      chunk,
-      isLast,
-      metadata: {
-        fileName: transfer.fileName,
-        totalChunks: transfer.totalChunks
-      },
-      receiverId
-    });
-    
-    // Set up retry timeout in case UDP fails
-    const retryTimeout = setTimeout(() => {
-      this.retryChunk(transferId, chunkIndex, receiverId);
-    }, RETRY_TIMEOUT);
-    
-    transfer.retries.set(chunkIndex, {
-      count: 0,
-      timeout: retryTimeout
-    });
+  async uploadFile(transfer) {
+    const { transferId } = transfer;
+
+    try {
+      let message;
+      for (let attempt = 0; !message; attempt++) {
+        try {
+          message = await this.uploadChunks(transfer);
+        } catch (error) {
+          if (error.response?.status !== 422 || attempt >= MAX_INTEGRITY_RETRY_COUNT) throw error;
+          this.emitEvent('corrupted', { transferId });
+        }
+      }
+
+      localStorage.removeItem(transfer.pendingKey);
+      transfer.status = 'complete';
+      this.emitEvent('complete', { transferId, success: true, message });
+    } catch (error) {
+      if (transfer.status === 'cancelled') return;
+
+      transfer.status = 'error';
+      // The server won't take this transfer id anymore: start afresh next time
+      if (error.response?.status === 404 || error.response?.status === 409) {
+        localStorage.removeItem(transfer.pendingKey);
+      }
+      this.emitEvent('error', {
+        transferId,
+        error: error.response?.data?.error || error.message
+      });
+    }
   }
 
   /**
-   * Retry sending a chunk if no acknowledgment received
+   * One pass of the upload: register or resume the transfer, send the missing
+   * chunks while hashing the file, then complete it with the file's SHA-256
+   * @returns {Promise<Object>} The message created for the file
    */
-  retryChunk(transferId, chunkIndex, receiverId) {
-    const transfer = this.transfers.get(transferId);
-    if (!transfer || transfer.status !== 'sending') return;
-    
-    const retryInfo = transfer.retries.get(chunkIndex);
-    if (!retryInfo) return;
-    
-    // Check if chunk was acknowledged while waiting
-    if (transfer.acknowledgedChunks.has(chunkIndex)) {
-      // Already acknowledged, no need to retry
-      return;
-    }
-    
-    // Increment retry count
-    retryInfo.count++;
-    
-    if (retryInfo.count > MAX_RETRY_COUNT) {
-      // Too many retries, fall back to TCP
-      console.log(`Falling back to TCP for chunk ${chunkIndex} of transfer ${transferId}`);
-      
-      // Send via TCP for reliability
-      networkManager.sendTcpMessage({
-        type: 'file-chunk',
+  async uploadChunks(transfer) {
+    const { transferId, file, target } = transfer;
+    const url = `/messages/transfers/${transferId}`;
+    const request = (config) => axiosInstance.request({ ...config, signal: transfer.controller.signal });
+
+    // The chunks are hashed in order as they go out; whatever was uploaded
+    // before a resume is read back from the file at the end
+    const hash = new Sha256();
+    let hashed = 0;
+    const hashUpTo = async (end) => {
+      for (; hashed < end; hashed = Math.min(hashed + UPLOAD_CHUNK_SIZE, end)) {
+        const slice = file.slice(hashed, Math.min(hashed + UPLOAD_CHUNK_SIZE, end));
+        hash.update(new Uint8Array(await slice.arrayBuffer()));
+      }
+    };
+
+    // Registers the transfer, or finds out how much of it the server already has
+    let { data: status } = await this.retry(transfer, () => request({
+      method: 'post',
+      url: '/messages/transfers',
+      data: {
         transferId,
-        chunkIndex,
-        chunk: transfer.chunks[chunkIndex],
-        isLast: chunkIndex === transfer.totalChunks - 1,
-        metadata: {
-          fileName: transfer.fileName,
-          totalChunks: transfer.totalChunks
-        },
-        receiverId
-      });
-    } else {
-      // Retry with UDP
-      networkManager.sendUdpMessage({
-        type: 'file-chunk',
+        fileName: file.name,
+        fileType: file.type,
+        fileSize: file.size,
+        ...target
+      }
+    }));
+    if (status.offset > 0) {
+      this.emitEvent('resumed', { transferId, offset: status.offset });
+    }
+
+    while (status.offset < file.size) {
+      let chunkOffset = null;
+      let chunk = null;
+      status = (await this.retry(transfer, async (attempt) => {
+        if (attempt > 0) {
+          const { data } = await request({ method: 'get', url });
+          status = data;
+          if (status.offset >= file.size) return { data };
+        }
+
+        chunkOffset = status.offset;
+        chunk = new Uint8Array(await file.slice(chunkOffset, chunkOffset + UPLOAD_CHUNK_SIZE).arrayBuffer());
+        return request({
+          method: 'put',
+          url,
+          params: { offset: chunkOffset },
+          data: chunk,
+          headers: { 'Content-Type': 'application/octet-stream' }
+        });
+      })).data;
+
+      if (chunkOffset === hashed) {
+        hash.update(chunk);
+        hashed += chunk.length;
+      }
+      this.emitEvent('progress', {
         transferId,
-        chunkIndex,
-        chunk: transfer.chunks[chunkIndex],
-        isLast: chunkIndex === transfer.totalChunks - 1,
-        metadata: {
-          fileName: transfer.fileName,
-          totalChunks: transfer.totalChunks
-        },
-        receiverId
+        progress: Math.round((status.offset / file.size) * 100)
       });
-      
-      // Set up another retry timeout
-      retryInfo.timeout = setTimeout(() => {
-        this.retryChunk(transferId, chunkIndex, receiverId);
-      }, RETRY_TIMEOUT);
+    }
+
+    await hashUpTo(file.size);
+    const sha256 = hash.digest();
+    const { data: message } = await this.retry(transfer, () => request({
+      method: 'post',
+      url: `${url}/complete`,
+      data: { sha256 }
+    }));
+    return message;
+  }
+
+  /**
+   * Run a request until it succeeds, waiting longer after each failure. Only
+   * dropped connections and server errors are retried.
+   */
+  async retry(transfer, send) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await send(attempt);
+      } catch (error) {
+        const retriable = !error.response || error.response.status >= 500;
+        if (!retriable || transfer.status !== 'sending' || attempt >= MAX_RETRY_COUNT) throw error;
+
+        const delay = Math.min(RETRY_TIMEOUT * 2 ** attempt, MAX_RETRY_TIMEOUT);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
     }
   }
 
@@ -507,35 +398,6 @@ export class FileTransferManager {
     }
   }
 
-  /**
-   * Handle chunk acknowledgment
-   */
-  handleChunkAcknowledgment(transferId, chunkIndex, status) {
-    const transfer = this.transfers.get(transferId);
-    if (!transfer || transfer.status !== 'sending') return;
-    
-    if (status === 'received') {
-      // Mark chunk as acknowledged
-      transfer.acknowledgedChunks.add(chunkIndex);
-      
-      // Clear retry timeout
-      const retryInfo = transfer.retries.get(chunkIndex);
-      if (retryInfo && retryInfo.timeout) {
-        clearTimeout(retryInfo.timeout);
-        transfer.retries.delete(chunkIndex);
-      }
-      
-      // Check if all chunks acknowledged
-      if (transfer.acknowledgedChunks.size === transfer.totalChunks) {
-        transfer.status = 'complete';
-        this.emitEvent('complete', {
-          transferId,
-          success: true
-        });
-      }
-    }
-  }
-
   /**
    * Assemble received file chunks into a complete file
    */
@@ -582,17 +444,10 @@ export class FileTransferManager {
     
     // Clean up resources
     if (transfer.status === 'sending') {
-      // Clear all retry timeouts
-      transfer.retries.forEach(retry => {
-        if (retry.timeout) clearTimeout(retry.timeout);
-      });
-      
-      // Notify the recipient
-      networkManager.sendTcpMessage({
-        type: 'file-transfer-cancel',
-        transferId,
-        receiverId: transfer.receiverId
-      });
+      // Stop uploading and drop what the server has received
+      transfer.controller.abort();
+      localStorage.removeItem(transfer.pendingKey);
+      axiosInstance.delete(`/messages/transfers/${transferId}`).catch(() => {});
     } else if (transfer.status === 'receiving') {
       // Notify the sender
       networkManager.sendTcpMessage({
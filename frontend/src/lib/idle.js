@@ -0,0 +1,35 @@
+// Reports the user as idle after a stretch without any input in this tab, and
+// active again on the next input. Returns a function that stops tracking.
+const AWAY_AFTER_MS = 5 * 60 * 1000;
+const ACTIVITY_EVENTS = ["mousemove", "mousedown", "keydown", "touchstart", "wheel"];
+
+export function startIdleTracking(onChange) {
+  let isIdle = false;
+  let lastActivityAt = 0;
+  let timeout;
+
+  const handleActivity = () => {
+    if (isIdle) {
+      isIdle = false;
+      onChange(false);
+    }
+
+    // Mouse moves fire constantly; rescheduling once a second is plenty
+    if (Date.now() - lastActivityAt < 1000) return;
+    lastActivityAt = Date.now();
+
+    clearTimeout(timeout);
+    timeout = setTimeout(() => {
+      isIdle = true;
+      onChange(true);
+    }, AWAY_AFTER_MS);
+  };
+
+  ACTIVITY_EVENTS.forEach((event) => window.addEventListener(event, handleActivity, { passive: true }));
+  handleActivity();
+
+  return () => {
+    clearTimeout(timeout);
+    ACTIVITY_EVENTS.forEach((event) => window.removeEventListener(event, handleActivity));
+  };
+}
@@ -1,10 +1,6 @@
 // networking.js - UDP, TCP, and Threading implementation for chat application
 import { io } from "socket.io-client";
-
-// Configuration
-const TCP_PORT = 8080;
-const UDP_PORT = 8081;
-const DEFAULT_SERVER = "localhost";
+import { SERVER_URL } from "./config";
 
 // Worker thread for handling background network operations
 class NetworkWorker {
@@ -116,10 +112,8 @@ class NetworkWorker {
 
 // Main networking class that handles both UDP and TCP connections
 export class NetworkManager {
-  constructor(server = DEFAULT_SERVER) {
-    this.server = server;
-    this.tcpPort = TCP_PORT;
-    this.udpPort = UDP_PORT;
+  constructor(serverUrl = SERVER_URL) {
+    this.serverUrl = serverUrl;
     this.socketIO = null;
     this.networkWorker = new NetworkWorker();
     this.connected = false;
@@ -147,10 +141,10 @@ export class NetworkManager {
       });
   }
 
-  connect(userId) {
-    // Connect to Socket.IO (existing implementation)
-    this.socketIO = io(`http://${this.server}:${this.tcpPort}`, {
-      query: { userId },
+  connect() {
+    // The server authenticates the connection with the session cookie
+    this.socketIO = io(this.serverUrl, {
+      withCredentials: true,
       transports: ['websocket'],
     });
 
@@ -159,6 +153,10 @@ export class NetworkManager {
       console.log('Connected to TCP server');
     });
 
+    this.socketIO.on('connect_error', (error) => {
+      console.error('Connection rejected:', error.message);
+    });
+
     this.socketIO.on('disconnect', () => {
       this.connected = false;
       console.log('Disconnected from TCP server');
@@ -212,6 +210,30 @@ export class NetworkManager {
     return this;
   }
 
+  // Register a handler for a named server event (e.g. "messageUpdated")
+  on(event, handler) {
+    if (this.socketIO && typeof handler === 'function') {
+      this.socketIO.on(event, handler);
+    }
+    return this;
+  }
+
+  // Remove a handler for a named server event
+  off(event, handler) {
+    if (this.socketIO) {
+      this.socketIO.off(event, handler);
+    }
+    return this;
+  }
+
+  // Send a named event to the server (e.g. "typing")
+  emit(event, payload) {
+    if (this.socketIO) {
+      this.socketIO.emit(event, payload);
+    }
+    return this;
+  }
+
   // Close all connections
   disconnect() {
     if (this.socketIO) {
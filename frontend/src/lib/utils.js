@@ -5,3 +5,78 @@ export function formatMessageTime(date) {
     hour12: false,
   });
 }
+
+// Short text standing in for a message in quotes and previews
+export function messagePreview(message) {
+  if (message.isDeleted) return "This message was deleted";
+  if (message.text) return message.text;
+  if (message.image) return "Photo";
+  if (message.file) return "File";
+  return "";
+}
+
+// Room messages come with their sender populated, direct messages with a bare id
+export function getSenderId(message) {
+  return message.senderId?._id || message.senderId;
+}
+
+// A user's role in a chat room: "owner", "admin", "moderator" or "member"
+export function getRoomRole(room, userId) {
+  if ((room.ownerId || room.creatorId) === userId) return "owner";
+  if (room.admins?.includes(userId)) return "admin";
+  if (room.moderators?.includes(userId)) return "moderator";
+  return "member";
+}
+
+export const STATUS_LABELS = {
+  online: "Online",
+  away: "Away",
+  dnd: "Do not disturb",
+  offline: "Offline",
+};
+
+// Background colour of the status dot on avatars
+export const STATUS_COLORS = {
+  online: "bg-green-500",
+  away: "bg-yellow-500",
+  dnd: "bg-red-500",
+};
+
+// A user's presence from the presence stream, falling back to what the API
+// returned for users who haven't been online since we connected
+export function getUserPresence(presence, user) {
+  return presence[user._id] || { status: "offline", lastSeen: user.lastSeen, customStatus: user.customStatus };
+}
+
+// The custom status to show, or null once it has expired
+export function activeCustomStatus(customStatus) {
+  if (!customStatus?.text && !customStatus?.emoji) return null;
+  if (customStatus.expiresAt && new Date(customStatus.expiresAt) <= new Date()) return null;
+  return customStatus;
+}
+
+// "Last seen just now", "Last seen 5 minutes ago", "Last seen yesterday at 14:02"...
+export function formatLastSeen(date) {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+
+  if (minutes < 1) return "Last seen just now";
+  if (minutes < 60) return `Last seen ${minutes} ${minutes === 1 ? "minute" : "minutes"} ago`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `Last seen ${hours} ${hours === 1 ? "hour" : "hours"} ago`;
+  if (hours < 48) return `Last seen yesterday at ${formatMessageTime(date)}`;
+  return `Last seen ${new Date(date).toLocaleDateString()}`;
+}
+
+// "512 B", "1.4 KB", "23.0 MB"...
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ["KB", "MB", "GB"];
+  let size = bytes / 1024;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${size.toFixed(1)} ${units[unit]}`;
+}
@@ -3,9 +3,11 @@ import { useChatStore } from "../store/useChatStore";
 import Sidebar from "../components/Sidebar";
 import NoChatSelected from "../components/NoChatSelected";
 import ChatContainer from "../components/ChatContainer";
+import ThreadPanel from "../components/ThreadPanel";
 
 const HomePage = () => {
-  const { selectedUser } = useChatStore();
+  const { selectedUser, selectedRoom, activeThread, isThreadLoading } = useChatStore();
+  const hasOpenConversation = Boolean(selectedUser || selectedRoom);
 
   return (
     <div className="h-screen bg-base-200">
@@ -14,7 +16,9 @@ const HomePage = () => {
           <div className="flex h-full rounded-lg overflow-hidden">
             <Sidebar />
 
-            {!selectedUser ? <NoChatSelected /> : <ChatContainer />}
+            {!hasOpenConversation ? <NoChatSelected /> : <ChatContainer />}
+
+            {hasOpenConversation && (activeThread || isThreadLoading) && <ThreadPanel />}
           </div>
         </div>
       </div>
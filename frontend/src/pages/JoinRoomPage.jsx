@@ -0,0 +1,73 @@
+import { useEffect, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { Loader, Users } from "lucide-react";
+import { useChatStore } from "../store/useChatStore";
+import { mediaUrl } from "../lib/config";
+
+const JoinRoomPage = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { getInvitePreview, joinRoom, isUpdatingRoom } = useChatStore();
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setPreview(null);
+    setError(null);
+    getInvitePreview(token)
+      .then(setPreview)
+      .catch((err) => setError(err.response?.data?.error || "This invite link is not valid"));
+  }, [token, getInvitePreview]);
+
+  // Members just get the room back, so this also opens a group you're already in
+  const handleJoin = async () => {
+    if (await joinRoom(token)) navigate("/");
+  };
+
+  return (
+    <div className="h-screen bg-base-200 flex items-center justify-center pt-16 px-4">
+      <div className="bg-base-100 rounded-lg shadow-xl w-full max-w-sm p-8 text-center space-y-4">
+        {!preview && !error && <Loader className="size-8 animate-spin mx-auto" />}
+
+        {error && (
+          <>
+            <h2 className="text-xl font-bold">Can&apos;t join this group</h2>
+            <p className="text-base-content/60">{error}</p>
+            <Link to="/" className="btn btn-sm btn-ghost">
+              Back to chats
+            </Link>
+          </>
+        )}
+
+        {preview && (
+          <>
+            {preview.avatar ? (
+              <img src={mediaUrl(preview.avatar)} alt={preview.name} className="size-20 rounded-full object-cover mx-auto" />
+            ) : (
+              <div className="size-20 rounded-full bg-primary/10 flex items-center justify-center mx-auto">
+                <Users className="size-10 text-primary" />
+              </div>
+            )}
+            <div>
+              <p className="text-sm text-base-content/60">You&apos;ve been invited to join</p>
+              <h2 className="text-xl font-bold">{preview.name}</h2>
+              <p className="text-sm text-base-content/60">
+                {preview.memberCount} {preview.memberCount === 1 ? "member" : "members"}
+              </p>
+            </div>
+            <button className="btn btn-primary w-full" onClick={handleJoin} disabled={isUpdatingRoom}>
+              {isUpdatingRoom ? (
+                <Loader className="size-4 animate-spin" />
+              ) : preview.isMember ? (
+                "Open group"
+              ) : (
+                "Join group"
+              )}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+export default JoinRoomPage;
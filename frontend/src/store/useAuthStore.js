@@ -2,8 +2,9 @@ import { create } from "zustand";
 import { axiosInstance } from "../lib/axios.js";
 import toast from "react-hot-toast";
 import networkManager from "../lib/networking.js";
+import { startIdleTracking } from "../lib/idle.js";
 
-const BASE_URL = import.meta.env.MODE === "development" ? "http://localhost:5173" : "/";
+let stopIdleTracking = null;
 
 export const useAuthStore = create((set, get) => ({
   authUser: null,
@@ -12,6 +13,9 @@ export const useAuthStore = create((set, get) => ({
   isUpdatingProfile: false,
   isCheckingAuth: true,
   onlineUsers: [],
+  // {userId: { userId, status, customStatus, lastSeen }} from the presence stream
+  presence: {},
+  isUpdatingStatus: false,
   socket: null,
 
   checkAuth: async () => {
@@ -82,22 +86,59 @@ export const useAuthStore = create((set, get) => ({
     }
   },
 
+  updateStatus: async (data) => {
+    set({ isUpdatingStatus: true });
+    try {
+      const res = await axiosInstance.put("/auth/status", data);
+      set({ authUser: res.data });
+      toast.success("Status updated");
+    } catch (error) {
+      toast.error(error.response.data.message);
+    } finally {
+      set({ isUpdatingStatus: false });
+    }
+  },
+
+  updatePrivacy: async (data) => {
+    try {
+      const res = await axiosInstance.put("/auth/privacy", data);
+      set({ authUser: res.data });
+    } catch (error) {
+      toast.error(error.response.data.message);
+    }
+  },
+
+  // Merge presence deltas, or replace everything we know with a snapshot.
+  // onlineUsers only gains or loses the users whose entries changed.
+  applyPresence: (entries, { replace = false } = {}) => {
+    const presence = replace ? {} : { ...get().presence };
+    const onlineUsers = new Set(replace ? [] : get().onlineUsers);
+
+    entries.forEach((entry) => {
+      presence[entry.userId] = entry;
+      if (entry.status === "offline") onlineUsers.delete(entry.userId);
+      else onlineUsers.add(entry.userId);
+    });
+    set({ presence, onlineUsers: [...onlineUsers] });
+  },
+
   connectSocket: () => {
     const { authUser } = get();
     if (!authUser || get().socket?.connected) return;
 
     // Use the network manager instead of direct socket.io
-    networkManager.connect(authUser._id);
+    networkManager.connect();
     
     // Store the network manager instance as the socket
     set({ socket: networkManager });
 
-    // Set up event handlers
-    networkManager.onMessage((message) => {
-      if (message.type === "getOnlineUsers") {
-        set({ onlineUsers: message.userIds });
-      }
-    });
+    // Presence arrives as a snapshot on connect, then one event per change
+    networkManager
+      .on("presenceSnapshot", (snapshot) => get().applyPresence(snapshot, { replace: true }))
+      .on("presence", (entry) => get().applyPresence([entry]));
+
+    stopIdleTracking?.();
+    stopIdleTracking = startIdleTracking((isIdle) => networkManager.emit("idle", isIdle));
     
     // Send a TCP message to notify connection
     networkManager.sendTcpMessage({
@@ -106,6 +147,10 @@ export const useAuthStore = create((set, get) => ({
     });
   },
   disconnectSocket: () => {
+    stopIdleTracking?.();
+    stopIdleTracking = null;
+    set({ presence: {}, onlineUsers: [] });
+
     if (get().socket) {
       get().socket.disconnect();
     }
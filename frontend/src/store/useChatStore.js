@@ -1,15 +1,56 @@
 import { create } from "zustand";
 import toast from "react-hot-toast";
 import { axiosInstance } from "../lib/axios";
+import { SERVER_URL } from "../lib/config";
 import { useAuthStore } from "./useAuthStore";
 import networkManager from "../lib/networking";
+import { getSenderId, messagePreview } from "../lib/utils";
+
+// Number of older messages fetched each time the user scrolls to the top
+const MESSAGE_PAGE_SIZE = 30;
+
+// The id identifying the open conversation: a chat room or a direct chat partner
+const conversationId = ({ selectedUser, selectedRoom }) => selectedRoom?._id || selectedUser?._id;
+
+// Query params telling the messages API which kind of conversation is open
+const conversationParams = ({ selectedRoom }) => (selectedRoom ? { chatRoomId: selectedRoom._id } : {});
+
+// Keystrokes re-announce typing at most this often; the server expires it on its own
+const TYPING_THROTTLE_MS = 2000;
+// Typing stops after this long without a keystroke
+const TYPING_IDLE_MS = 3000;
+
+// Where the current typing indicator was sent, so it can be stopped even
+// after switching conversations (unsubscribeFromMessages stops it)
+let typingTarget = null;
+let lastTypingSentAt = 0;
+let typingIdleTimeout = null;
 
 export const useChatStore = create((set, get) => ({
   messages: [],
   users: [],
   selectedUser: null,
   isUsersLoading: false,
+  rooms: [],
+  selectedRoom: null,
+  isRoomsLoading: false,
+  isCreatingRoom: false,
+  isUpdatingRoom: false,
+  invites: [],
   isMessagesLoading: false,
+  hasMoreMessages: false,
+  hasNewerMessages: false,
+  isLoadingOlderMessages: false,
+  isLoadingNewerMessages: false,
+  // Message to load the conversation around, and to highlight once shown
+  pendingJumpMessageId: null,
+  highlightedMessageId: null,
+  searchResults: [],
+  isSearching: false,
+  activeThread: null,
+  isThreadLoading: false,
+  // Users typing in the open conversation
+  typingUserIds: [],
 
   getUsers: async () => {
     set({ isUsersLoading: true });
@@ -23,81 +64,676 @@ export const useChatStore = create((set, get) => ({
     }
   },
 
-  getMessages: async (userId) => {
+  getRooms: async () => {
+    set({ isRoomsLoading: true });
+    try {
+      const res = await axiosInstance.get("/chats/rooms");
+      set({ rooms: res.data });
+    } catch (error) {
+      toast.error(error.response.data.error);
+    } finally {
+      set({ isRoomsLoading: false });
+    }
+  },
+
+  // Resolves to the new room, or null if it could not be created
+  createRoom: async ({ name, participants }) => {
+    set({ isCreatingRoom: true });
+    try {
+      const res = await axiosInstance.post("/chats/create", { name, participants });
+      get().addRoom(res.data);
+      toast.success("Group created");
+      return res.data;
+    } catch (error) {
+      toast.error(error.response.data.error);
+      return null;
+    } finally {
+      set({ isCreatingRoom: false });
+    }
+  },
+
+  addRoom: (room) => {
+    if (get().rooms.some((r) => r._id === room._id)) return;
+    set({ rooms: [room, ...get().rooms] });
+  },
+
+  // Replace a room wherever it is shown, keeping the last message already loaded
+  applyRoomUpdate: (room) => {
+    const { rooms, selectedRoom } = get();
+    const merge = (current) => ({ ...current, ...room, lastMessage: current.lastMessage });
+
+    set({
+      rooms: rooms.map((r) => (r._id === room._id ? merge(r) : r)),
+      ...(selectedRoom?._id === room._id ? { selectedRoom: merge(selectedRoom) } : {}),
+    });
+  },
+
+  removeRoom: (roomId) => {
+    const { rooms, selectedRoom } = get();
+    set({
+      rooms: rooms.filter((r) => r._id !== roomId),
+      ...(selectedRoom?._id === roomId ? { selectedRoom: null, activeThread: null, messages: [] } : {}),
+    });
+  },
+
+  // Runs a room administration request and applies the updated room it returns;
+  // resolves to whether it succeeded
+  updateRoomWith: async (request, successMessage) => {
+    set({ isUpdatingRoom: true });
+    try {
+      const res = await request();
+      get().applyRoomUpdate(res.data);
+      if (successMessage) toast.success(successMessage);
+      return true;
+    } catch (error) {
+      toast.error(error.response.data.error);
+      return false;
+    } finally {
+      set({ isUpdatingRoom: false });
+    }
+  },
+
+  updateRoom: (roomId, { name, avatar }) =>
+    get().updateRoomWith(() => axiosInstance.patch(`/chats/${roomId}`, { name, avatar }), "Group updated"),
+
+  addParticipants: (roomId, userIds) =>
+    get().updateRoomWith(() => axiosInstance.post(`/chats/${roomId}/participants`, { userIds }), "Members added"),
+
+  removeParticipant: (roomId, userId) =>
+    get().updateRoomWith(() => axiosInstance.delete(`/chats/${roomId}/participants/${userId}`)),
+
+  setParticipantRole: (roomId, userId, role) =>
+    get().updateRoomWith(() => axiosInstance.patch(`/chats/${roomId}/participants/${userId}/role`, { role })),
+
+  transferOwnership: (roomId, userId) =>
+    get().updateRoomWith(() => axiosInstance.post(`/chats/${roomId}/transfer`, { userId }), "Ownership transferred"),
+
+  leaveRoom: async (roomId) => {
+    set({ isUpdatingRoom: true });
+    try {
+      await axiosInstance.post(`/chats/${roomId}/leave`);
+      get().removeRoom(roomId);
+      toast.success("You left the group");
+      return true;
+    } catch (error) {
+      toast.error(error.response.data.error);
+      return false;
+    } finally {
+      set({ isUpdatingRoom: false });
+    }
+  },
+
+  getInvites: async (roomId) => {
+    try {
+      const res = await axiosInstance.get(`/chats/${roomId}/invites`);
+      set({ invites: res.data });
+    } catch (error) {
+      toast.error(error.response.data.error);
+    }
+  },
+
+  // Resolves to the new invite, or null if it could not be created
+  createInvite: async (roomId, { expiresInHours, maxUses }) => {
+    try {
+      const res = await axiosInstance.post(`/chats/${roomId}/invites`, { expiresInHours, maxUses });
+      set({ invites: [res.data, ...get().invites] });
+      return res.data;
+    } catch (error) {
+      toast.error(error.response.data.error);
+      return null;
+    }
+  },
+
+  revokeInvite: async (roomId, inviteId) => {
+    try {
+      await axiosInstance.delete(`/chats/${roomId}/invites/${inviteId}`);
+      set({ invites: get().invites.filter((invite) => invite._id !== inviteId) });
+      toast.success("Invite link revoked");
+    } catch (error) {
+      toast.error(error.response.data.error);
+    }
+  },
+
+  // Throws so the join page can show why an invite can't be used
+  getInvitePreview: async (token) => {
+    const res = await axiosInstance.get(`/chats/join/${token}`);
+    return res.data;
+  },
+
+  // Resolves to the joined room, or null if joining failed
+  joinRoom: async (token) => {
+    set({ isUpdatingRoom: true });
+    try {
+      const res = await axiosInstance.post(`/chats/join/${token}`);
+      get().addRoom(res.data);
+      get().setSelectedRoom(res.data);
+      return res.data;
+    } catch (error) {
+      toast.error(error.response.data.error);
+      return null;
+    } finally {
+      set({ isUpdatingRoom: false });
+    }
+  },
+
+  // Show a message as the latest one of its room and move the room to the top
+  updateRoomLastMessage: (message) => {
+    const room = get().rooms.find((r) => r._id === message.chatRoomId);
+    if (!room) return;
+
+    set({
+      rooms: [{ ...room, lastMessage: message }, ...get().rooms.filter((r) => r._id !== room._id)],
+    });
+  },
+
+  // Look up a user of the open conversation: yourself, the chat partner or a room participant
+  getConversationMember: (userId) => {
+    const { selectedUser, selectedRoom } = get();
+    const { authUser } = useAuthStore.getState();
+
+    if (userId === authUser._id) return authUser;
+    if (selectedRoom) return selectedRoom.participants.find((participant) => participant._id === userId);
+    return selectedUser;
+  },
+
+  getMessages: async () => {
+    const { pendingJumpMessageId } = get();
     set({ isMessagesLoading: true });
     try {
-      const res = await axiosInstance.get(`/messages/${userId}`);
-      set({ messages: res.data });
+      const res = await axiosInstance.get(`/messages/${conversationId(get())}`, {
+        params: {
+          ...conversationParams(get()),
+          ...(pendingJumpMessageId ? { around: pendingJumpMessageId } : {}),
+        },
+      });
+      set({
+        messages: res.data.messages,
+        hasMoreMessages: res.data.hasMore,
+        hasNewerMessages: res.data.hasNewer,
+        pendingJumpMessageId: null,
+        highlightedMessageId: pendingJumpMessageId,
+      });
     } catch (error) {
       toast.error(error.response.data.message);
     } finally {
       set({ isMessagesLoading: false });
     }
   },
-  sendMessage: async (messageData) => {
-    const { selectedUser, messages } = get();
+
+  // Prepend the page of messages before the oldest one loaded; resolves to
+  // whether anything was added
+  loadOlderMessages: async () => {
+    const { messages, hasMoreMessages, isLoadingOlderMessages } = get();
+    if (!hasMoreMessages || isLoadingOlderMessages || messages.length === 0) return false;
+
+    const openConversationId = conversationId(get());
+    set({ isLoadingOlderMessages: true });
     try {
-      // Send typing indicator via UDP (faster, less reliable)
-      networkManager.sendUdpMessage({
-        type: "typing",
-        receiverId: selectedUser._id,
-        senderId: useAuthStore.getState().authUser._id
+      const res = await axiosInstance.get(`/messages/${openConversationId}`, {
+        params: { ...conversationParams(get()), before: messages[0]._id, limit: MESSAGE_PAGE_SIZE },
       });
-      
+      // The conversation may have changed while the page was loading
+      if (conversationId(get()) !== openConversationId) return false;
+
+      set({ messages: [...res.data.messages, ...get().messages], hasMoreMessages: res.data.hasMore });
+      return res.data.messages.length > 0;
+    } catch (error) {
+      toast.error(error.response.data.error);
+      return false;
+    } finally {
+      set({ isLoadingOlderMessages: false });
+    }
+  },
+
+  // Append the page of messages after the newest one loaded, when the
+  // conversation was opened in the middle of its history
+  loadNewerMessages: async () => {
+    const { messages, hasNewerMessages, isLoadingNewerMessages } = get();
+    if (!hasNewerMessages || isLoadingNewerMessages || messages.length === 0) return false;
+
+    const openConversationId = conversationId(get());
+    set({ isLoadingNewerMessages: true });
+    try {
+      const res = await axiosInstance.get(`/messages/${openConversationId}`, {
+        params: {
+          ...conversationParams(get()),
+          after: messages[messages.length - 1]._id,
+          limit: MESSAGE_PAGE_SIZE,
+        },
+      });
+      if (conversationId(get()) !== openConversationId) return false;
+
+      set({ messages: [...get().messages, ...res.data.messages], hasNewerMessages: res.data.hasMore });
+      return res.data.messages.length > 0;
+    } catch (error) {
+      toast.error(error.response.data.error);
+      return false;
+    } finally {
+      set({ isLoadingNewerMessages: false });
+    }
+  },
+
+  searchMessages: async (params) => {
+    set({ isSearching: true });
+    try {
+      const res = await axiosInstance.get("/messages/search", { params });
+      set({ searchResults: res.data });
+    } catch (error) {
+      toast.error(error.response.data.error);
+    } finally {
+      set({ isSearching: false });
+    }
+  },
+
+  // Open the conversation a search result belongs to, centered on it
+  jumpToMessage: (result) => {
+    const { users, rooms, getMessages } = get();
+    const authUserId = useAuthStore.getState().authUser._id;
+
+    set({ pendingJumpMessageId: result._id });
+
+    if (result.chatRoomId) {
+      const room = rooms.find((r) => r._id === result.chatRoomId._id);
+      if (!room) return;
+      if (get().selectedRoom?._id === room._id) getMessages();
+      else get().setSelectedRoom(room);
+      return;
+    }
+
+    const partner = result.senderId._id === authUserId ? result.receiverId : result.senderId;
+    const chatPartner = users.find((user) => user._id === partner._id) || partner;
+    if (get().selectedUser?._id === chatPartner._id) getMessages();
+    else get().setSelectedUser(chatPartner);
+  },
+
+  clearHighlightedMessage: () => set({ highlightedMessageId: null }),
+
+  sendMessage: async (messageData) => {
+    const { selectedRoom, messages } = get();
+    try {
+      get().stopTyping();
+
       // Send actual message via TCP (reliable delivery)
-      const res = await axiosInstance.post(`/messages/send/${selectedUser._id}`, messageData);
+      const res = await axiosInstance.post(`/messages/send/${conversationId(get())}`, {
+        ...messageData,
+        ...conversationParams(get()),
+      });
       
       // Also send through network manager for TCP delivery
       networkManager.sendTcpMessage({
         type: "newMessage",
         message: res.data
       });
-      
-      set({ messages: [...messages, res.data] });
+
+      if (selectedRoom) get().updateRoomLastMessage(res.data);
+
+      // The socket may already have delivered our own copy of the message
+      const loadedMessages = get().messages.filter((message) => message._id !== res.data._id);
+
+      if (messageData.replyTo) {
+        // Show the quoted parent right away instead of its bare id
+        const { activeThread } = get();
+        const parentMessage = [...messages, ...(activeThread ? [activeThread.root, ...activeThread.replies] : [])]
+          .find((message) => message._id === messageData.replyTo);
+        const newMessage = { ...res.data, replyTo: parentMessage || res.data.replyTo };
+
+        set({ messages: [...loadedMessages, newMessage] });
+        get().applyThreadReply({ threadRootId: newMessage.threadRootId, message: newMessage });
+      } else {
+        set({ messages: [...loadedMessages, res.data] });
+      }
     } catch (error) {
       toast.error(error.response.data.message);
     }
   },
 
+  openThread: async (messageId) => {
+    set({ isThreadLoading: true });
+    try {
+      const res = await axiosInstance.get(`/messages/thread/${messageId}`);
+      set({ activeThread: res.data });
+    } catch (error) {
+      toast.error(error.response.data.error);
+    } finally {
+      set({ isThreadLoading: false });
+    }
+  },
+
+  closeThread: () => set({ activeThread: null }),
+
+  // Record a new reply on its thread root and in the open thread panel
+  applyThreadReply: ({ threadRootId, replyCount, lastReplyAt, message: reply }) => {
+    const { messages, activeThread } = get();
+    const nextCount = (count) => replyCount ?? (count || 0) + 1;
+
+    set({
+      messages: messages.map((message) =>
+        message._id === threadRootId
+          ? { ...message, replyCount: nextCount(message.replyCount), lastReplyAt: lastReplyAt || reply.createdAt }
+          : message
+      ),
+    });
+
+    if (activeThread?.root._id === threadRootId && !activeThread.replies.some((r) => r._id === reply._id)) {
+      set({
+        activeThread: {
+          ...activeThread,
+          replies: [...activeThread.replies, reply],
+          replyCount: nextCount(activeThread.replyCount),
+        },
+      });
+    }
+  },
+
+  editMessage: async (messageId, text) => {
+    try {
+      const res = await axiosInstance.patch(`/messages/${messageId}`, { text });
+      get().applyMessageUpdate(res.data);
+    } catch (error) {
+      toast.error(error.response.data.error);
+    }
+  },
+
+  deleteMessage: async (messageId, scope = "me") => {
+    try {
+      const res = await axiosInstance.delete(`/messages/${messageId}`, { params: { scope } });
+      if (scope === "me") {
+        const { messages, activeThread } = get();
+        set({
+          messages: messages.filter((message) => message._id !== messageId),
+          activeThread: activeThread && {
+            ...activeThread,
+            replies: activeThread.replies.filter((reply) => reply._id !== messageId),
+          },
+        });
+      } else {
+        get().applyMessageUpdate(res.data);
+      }
+    } catch (error) {
+      toast.error(error.response.data.error);
+    }
+  },
+
+  // Add the current user's reaction, or remove it if it is already there
+  toggleReaction: async (messageId, emoji) => {
+    const authUserId = useAuthStore.getState().authUser._id;
+    const { messages, activeThread } = get();
+    const message = [...messages, ...(activeThread ? [activeThread.root, ...activeThread.replies] : [])]
+      .find((m) => m._id === messageId);
+    const hasReacted = message?.reactions?.some(
+      (reaction) => reaction.emoji === emoji && reaction.userIds.includes(authUserId)
+    );
+
+    try {
+      const res = hasReacted
+        ? await axiosInstance.delete(`/messages/${messageId}/reactions/${encodeURIComponent(emoji)}`)
+        : await axiosInstance.post(`/messages/${messageId}/reactions`, { emoji });
+      get().applyMessageUpdate({ _id: messageId, reactions: res.data.reactions });
+    } catch (error) {
+      toast.error(error.response.data.error);
+    }
+  },
+
+  // Resolves to a short-lived URL that shows the file in <img> and <video>
+  // tags, or null. Previews are optional, so failures are only logged.
+  getFilePreviewUrl: async (fileId) => {
+    try {
+      const res = await axiosInstance.post(`/files/${fileId}/signed-url`);
+      return `${SERVER_URL}${res.data.url}`;
+    } catch (error) {
+      console.error("Failed to get a file preview URL:", error);
+      return null;
+    }
+  },
+
+  // Replace a message in the open conversation and thread with its latest server copy
+  applyMessageUpdate: (updatedMessage) => {
+    // keep references as loaded (the sender may be populated in chat rooms, the quote and file always are)
+    const merge = (message) =>
+      message._id === updatedMessage._id
+        ? { ...message, ...updatedMessage, senderId: message.senderId, replyTo: message.replyTo, file: message.file }
+        : message;
+    const { messages, activeThread } = get();
+
+    set({
+      messages: messages.map(merge),
+      activeThread: activeThread && {
+        ...activeThread,
+        root: merge(activeThread.root),
+        replies: activeThread.replies.map(merge),
+        // e.g. a reply deleted for everyone
+        replyCount:
+          activeThread.root._id === updatedMessage._id && updatedMessage.replyCount !== undefined
+            ? updatedMessage.replyCount
+            : activeThread.replyCount,
+      },
+    });
+  },
+
+  // Receipts are best effort: a missed ack is retried the next time the page is fetched
+  acknowledgeDelivery: async (messageIds) => {
+    try {
+      await axiosInstance.post("/messages/delivered", { messageIds });
+    } catch (error) {
+      console.error("Failed to acknowledge delivery:", error);
+    }
+  },
+
+  markMessagesRead: async (messageIds) => {
+    const { authUser } = useAuthStore.getState();
+    get().applyMessageStatus({ messageIds, userId: authUser._id, status: "read" });
+
+    try {
+      await axiosInstance.post("/messages/read", { messageIds });
+    } catch (error) {
+      console.error("Failed to mark messages as read:", error);
+    }
+  },
+
+  // Record a recipient's delivered/read receipt on the loaded messages
+  applyMessageStatus: ({ messageIds, userId, status }) => {
+    const addUser = (ids = []) => (ids.includes(userId) ? ids : [...ids, userId]);
+
+    set({
+      messages: get().messages.map((message) =>
+        messageIds.includes(message._id)
+          ? {
+              ...message,
+              deliveredTo: addUser(message.deliveredTo),
+              readBy: status === "read" ? addUser(message.readBy) : message.readBy,
+            }
+          : message
+      ),
+    });
+  },
+
+  // Called on each keystroke in the message input
+  notifyTyping: () => {
+    const { selectedUser, selectedRoom } = get();
+    if (!selectedUser && !selectedRoom) return;
+
+    const target = selectedRoom ? { chatRoomId: selectedRoom._id } : { receiverId: selectedUser._id };
+    if (!typingTarget || Date.now() - lastTypingSentAt >= TYPING_THROTTLE_MS) {
+      networkManager.emit("typing", { ...target, isTyping: true });
+      lastTypingSentAt = Date.now();
+    }
+    typingTarget = target;
+
+    clearTimeout(typingIdleTimeout);
+    typingIdleTimeout = setTimeout(() => get().stopTyping(), TYPING_IDLE_MS);
+  },
+
+  stopTyping: () => {
+    clearTimeout(typingIdleTimeout);
+    if (!typingTarget) return;
+
+    networkManager.emit("typing", { ...typingTarget, isTyping: false });
+    typingTarget = null;
+    lastTypingSentAt = 0;
+  },
+
   subscribeToMessages: () => {
-    const { selectedUser } = get();
-    if (!selectedUser) return;
+    const { selectedUser, selectedRoom } = get();
+    if (!selectedUser && !selectedRoom) return;
+
+    // Add a message pushed by the server if it belongs to the open conversation
+    const handleNewMessage = (newMessage) => {
+      // Our own messages arrive too when sent from another device
+      const senderId = getSenderId(newMessage);
+      const isOwnMessage = senderId === useAuthStore.getState().authUser._id;
+      const belongsToConversation = selectedRoom
+        ? newMessage.chatRoomId === selectedRoom._id
+        : !newMessage.chatRoomId &&
+          (senderId === selectedUser._id || (isOwnMessage && newMessage.receiverId === selectedUser._id));
+      if (!belongsToConversation || get().messages.some((m) => m._id === newMessage._id)) return;
+
+      set({
+        messages: [...get().messages, newMessage],
+        // Whoever sent it has stopped typing
+        typingUserIds: get().typingUserIds.filter((id) => id !== senderId),
+      });
+    };
 
-    const socket = useAuthStore.getState().socket;
-    
     // Message handler function
     const messageHandler = (message) => {
-      // Handle different message types
       if (message.type === "newMessage") {
-        const newMessage = message.message;
-        const isMessageSentFromSelectedUser = newMessage.senderId === selectedUser._id;
-        if (!isMessageSentFromSelectedUser) return;
-
-        set({
-          messages: [...get().messages, newMessage],
-        });
-      } else if (message.type === "typing") {
-        // Handle typing indicators
-        if (message.senderId === selectedUser._id) {
-          // Update UI to show typing indicator
-          // This could be implemented with a new state variable
-        }
+        handleNewMessage(message.message);
       }
     };
+
+    const typingHandler = ({ userId, chatRoomId, isTyping }) => {
+      const belongsToConversation = selectedRoom
+        ? chatRoomId === selectedRoom._id
+        : !chatRoomId && userId === selectedUser._id;
+      if (!belongsToConversation) return;
+
+      const others = get().typingUserIds.filter((id) => id !== userId);
+      set({ typingUserIds: isTyping ? [...others, userId] : others });
+    };
     
     // Register message handler with network manager
     networkManager.onMessage(messageHandler);
+
+    // Edits, deletions and thread replies are pushed as named socket events
+    const updateHandler = (updatedMessage) => get().applyMessageUpdate(updatedMessage);
+    const threadHandler = (threadReply) => get().applyThreadReply(threadReply);
+    const reactionHandler = ({ messageId, reactions }) => get().applyMessageUpdate({ _id: messageId, reactions });
+    const statusHandler = (receipt) => get().applyMessageStatus(receipt);
+    networkManager
+      .on("newMessage", handleNewMessage)
+      .on("messageUpdated", updateHandler)
+      .on("messageDeleted", updateHandler)
+      .on("threadReply", threadHandler)
+      .on("messageReaction", reactionHandler)
+      .on("messageStatus", statusHandler)
+      .on("typing", typingHandler);
     
-    // Store the handler reference for later removal
-    set({ currentMessageHandler: messageHandler });
+    // Store the handler references for later removal
+    set({
+      currentMessageHandler: messageHandler,
+      currentNewMessageHandler: handleNewMessage,
+      currentUpdateHandler: updateHandler,
+      currentThreadHandler: threadHandler,
+      currentReactionHandler: reactionHandler,
+      currentStatusHandler: statusHandler,
+      currentTypingHandler: typingHandler,
+    });
   },
 
   unsubscribeFromMessages: () => {
-    const { currentMessageHandler } = get();
+    const {
+      currentMessageHandler,
+      currentNewMessageHandler,
+      currentUpdateHandler,
+      currentThreadHandler,
+      currentReactionHandler,
+      currentStatusHandler,
+      currentTypingHandler,
+    } = get();
     if (currentMessageHandler) {
       networkManager.offMessage(currentMessageHandler);
     }
+    if (currentNewMessageHandler) {
+      networkManager.off("newMessage", currentNewMessageHandler);
+    }
+    if (currentUpdateHandler) {
+      networkManager.off("messageUpdated", currentUpdateHandler).off("messageDeleted", currentUpdateHandler);
+    }
+    if (currentThreadHandler) {
+      networkManager.off("threadReply", currentThreadHandler);
+    }
+    if (currentReactionHandler) {
+      networkManager.off("messageReaction", currentReactionHandler);
+    }
+    if (currentStatusHandler) {
+      networkManager.off("messageStatus", currentStatusHandler);
+    }
+    if (currentTypingHandler) {
+      networkManager.off("typing", currentTypingHandler);
+    }
+    get().stopTyping();
+    set({ typingUserIds: [] });
+  },
+
+  // Toast about a message in a conversation that isn't open, unless do-not-disturb is on
+  notifyIncomingMessage: (message) => {
+    const { authUser } = useAuthStore.getState();
+    const { users, rooms } = get();
+    const senderId = getSenderId(message);
+    if (authUser.doNotDisturb || conversationId(get()) === (message.chatRoomId || senderId)) return;
+
+    const senderName = message.senderId?.fullName || users.find((user) => user._id === senderId)?.fullName;
+    const roomName = message.chatRoomId && rooms.find((room) => room._id === message.chatRoomId)?.name;
+    const from = [senderName || "Someone", roomName].filter(Boolean).join(" in ");
+    toast(`${from}: ${messagePreview(message)}`);
+  },
+
+  // Keep the sidebar's rooms current: rooms you are added to and their latest messages
+  subscribeToRooms: () => {
+    const roomHandler = (room) => get().addRoom(room);
+    // Also acknowledges every incoming message, whether or not its conversation is open
+    const roomMessageHandler = (message) => {
+      if (message.chatRoomId) get().updateRoomLastMessage(message);
+      if (!message.isSystemMessage && getSenderId(message) !== useAuthStore.getState().authUser._id) {
+        get().acknowledgeDelivery([message._id]);
+        get().notifyIncomingMessage(message);
+      }
+    };
+
+    const roomUpdateHandler = (room) => get().applyRoomUpdate(room);
+    const roomRemovedHandler = ({ chatRoomId }) => get().removeRoom(chatRoomId);
+
+    networkManager
+      .on("newChatRoom", roomHandler)
+      .on("newMessage", roomMessageHandler)
+      .on("chatRoomUpdated", roomUpdateHandler)
+      .on("removedFromChatRoom", roomRemovedHandler);
+    set({
+      currentRoomHandler: roomHandler,
+      currentRoomMessageHandler: roomMessageHandler,
+      currentRoomUpdateHandler: roomUpdateHandler,
+      currentRoomRemovedHandler: roomRemovedHandler,
+    });
+  },
+
+  unsubscribeFromRooms: () => {
+    const { currentRoomHandler, currentRoomMessageHandler, currentRoomUpdateHandler, currentRoomRemovedHandler } =
+      get();
+    if (currentRoomHandler) {
+      networkManager.off("newChatRoom", currentRoomHandler);
+    }
+    if (currentRoomMessageHandler) {
+      networkManager.off("newMessage", currentRoomMessageHandler);
+    }
+    if (currentRoomUpdateHandler) {
+      networkManager.off("chatRoomUpdated", currentRoomUpdateHandler);
+    }
+    if (currentRoomRemovedHandler) {
+      networkManager.off("removedFromChatRoom", currentRoomRemovedHandler);
+    }
   },
 
-  setSelectedUser: (selectedUser) => set({ selectedUser }),
+  setSelectedUser: (selectedUser) => set({ selectedUser, selectedRoom: null, activeThread: null }),
+
+  setSelectedRoom: (selectedRoom) => set({ selectedRoom, selectedUser: null, activeThread: null }),
 }));
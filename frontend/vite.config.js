@@ -1,7 +1,19 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => {
+  // The backend's HTTP server (its PORT). In development the app talks to its
+  // own origin, and the REST API and socket.io are forwarded there.
+  const backendUrl = loadEnv(mode, '.', '').BACKEND_URL || 'http://localhost:5001'
+
+  return {
+    plugins: [react()],
+    server: {
+      proxy: {
+        '/api': backendUrl,
+        '/socket.io': { target: backendUrl, ws: true },
+      },
+    },
+  }
 })